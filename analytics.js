@@ -0,0 +1,346 @@
+// Strength analytics - estimated one-rep max formulas shared by stats, chart and history
+
+// Rep-based formulas lose accuracy (and Brzycki diverges at 37 reps) on high-rep sets,
+// so reps above this are clamped: the estimate stays a conservative lower bound.
+const E1RM_MAX_REPS = 12;
+
+// Percentage of 1RM for a set taken to RPE 10, indexed by reps (RTS-style RPE chart)
+const RPE_10_PERCENTAGES = [100, 95.5, 92.2, 89.2, 86.3, 83.7, 81.1, 78.6, 76.2, 73.9, 70.7, 68.0];
+
+const E1RM_FORMULAS = {
+  epley: {
+    label: 'Epley',
+    estimate: (weight, reps) => weight * (1 + reps / 30)
+  },
+  brzycki: {
+    label: 'Brzycki',
+    estimate: (weight, reps) => weight * 36 / (37 - reps)
+  },
+  lombardi: {
+    label: 'Lombardi',
+    estimate: (weight, reps) => weight * Math.pow(reps, 0.1)
+  },
+  mayhew: {
+    label: 'Mayhew',
+    estimate: (weight, reps) => 100 * weight / (52.2 + 41.9 * Math.exp(-0.055 * reps))
+  },
+  oconner: {
+    label: "O'Conner",
+    estimate: (weight, reps) => weight * (1 + reps / 40)
+  },
+  rpe: {
+    label: 'RPE table',
+    // Reps in reserve count as extra reps; sets without RPE are treated as RPE 10
+    estimate: (weight, reps, rpe) => {
+      const effectiveReps = Math.min(E1RM_MAX_REPS, reps + (10 - (rpe || 10)));
+      return weight / (rpePercentage(effectiveReps) / 100);
+    }
+  }
+};
+
+const DEFAULT_E1RM_FORMULA = 'epley';
+
+// Linear interpolation so half-point RPEs land between table rows
+function rpePercentage(reps) {
+  const lower = Math.max(1, Math.floor(reps));
+  const upper = Math.min(E1RM_MAX_REPS, Math.ceil(reps));
+  const lowerPct = RPE_10_PERCENTAGES[lower - 1];
+  const upperPct = RPE_10_PERCENTAGES[upper - 1];
+  return lowerPct + (upperPct - lowerPct) * (reps - lower);
+}
+
+function estimateOneRepMax(weight, reps, rpe = null, formula = DEFAULT_E1RM_FORMULA) {
+  if (!weight || weight <= 0 || !reps || reps <= 0) return 0;
+
+  const entry = E1RM_FORMULAS[formula] || E1RM_FORMULAS[DEFAULT_E1RM_FORMULA];
+  const clampedReps = Math.min(reps, E1RM_MAX_REPS);
+
+  // A true single is the 1RM unless RPE says there was more in the tank
+  if (clampedReps === 1 && formula !== 'rpe') return weight;
+
+  const estimate = entry.estimate(weight, clampedReps, rpe);
+  return Number.isFinite(estimate) && estimate > 0 ? Math.max(estimate, weight) : weight;
+}
+
+// Personal records - rep maxes count any set with at least that many reps
+const REP_MAX_TARGETS = [1, 2, 3, 5, 8, 10, 12];
+
+// entries: sets carrying the `date` of their session
+function computePersonalRecords(entries, formula = DEFAULT_E1RM_FORMULA) {
+  const records = { repMaxes: {}, bestE1RM: null, bestSetVolume: null, bestSessionVolume: null };
+  const sessionVolumes = new Map();
+
+  entries.forEach(entry => {
+    REP_MAX_TARGETS.forEach(target => {
+      const current = records.repMaxes[target];
+      if (entry.reps >= target && (!current || entry.weightKg > current.value)) {
+        records.repMaxes[target] = { value: entry.weightKg, reps: entry.reps, date: entry.date };
+      }
+    });
+
+    const e1rm = estimateOneRepMax(entry.weightKg, entry.reps, entry.rpe, formula);
+    if (!records.bestE1RM || e1rm > records.bestE1RM.value) {
+      records.bestE1RM = { value: e1rm, date: entry.date };
+    }
+
+    const volume = entry.weightKg * entry.reps;
+    if (!records.bestSetVolume || volume > records.bestSetVolume.value) {
+      records.bestSetVolume = { value: volume, weightKg: entry.weightKg, reps: entry.reps, date: entry.date };
+    }
+    sessionVolumes.set(entry.date, (sessionVolumes.get(entry.date) || 0) + volume);
+  });
+
+  sessionVolumes.forEach((volume, date) => {
+    if (!records.bestSessionVolume || volume > records.bestSessionVolume.value) {
+      records.bestSessionVolume = { value: volume, date };
+    }
+  });
+
+  return records;
+}
+
+// Records in `after` that beat an existing record in `before` (first-ever values are not PRs)
+function findNewRecords(before, after) {
+  const candidates = [
+    ...REP_MAX_TARGETS.map(target => [`${target}RM`, before.repMaxes[target], after.repMaxes[target]]),
+    ['e1rm', before.bestE1RM, after.bestE1RM],
+    ['set-volume', before.bestSetVolume, after.bestSetVolume],
+    ['session-volume', before.bestSessionVolume, after.bestSessionVolume]
+  ];
+
+  return candidates
+    .filter(([, previous, current]) => previous && current && current.value > previous.value + 1e-6)
+    .map(([type, previous, current]) => ({ type, value: current.value, previousValue: previous.value }));
+}
+
+// Load types - how the weight entered for a set relates to the load actually moved
+const LOAD_TYPES = {
+  external: { label: 'External weight', weightLabel: 'Weight' },
+  bodyweight: { label: 'Bodyweight', weightLabel: null },
+  'bodyweight-plus': { label: 'Bodyweight + added weight', weightLabel: 'Added weight' },
+  assisted: { label: 'Assisted (counterweight)', weightLabel: 'Assistance' }
+};
+
+const DEFAULT_LOAD_TYPE = 'external';
+
+function effectiveLoad(weight, loadType, bodyweight) {
+  switch (loadType) {
+    case 'bodyweight':
+      return bodyweight || 0;
+    case 'bodyweight-plus':
+      return (bodyweight || 0) + (weight || 0);
+    case 'assisted':
+      // More counterweight means less load
+      return Math.max(0, (bodyweight || 0) - (weight || 0));
+    default:
+      return weight || 0;
+  }
+}
+
+// Inverse of effectiveLoad: the weight to enter for a target load
+function enteredWeightForLoad(load, loadType, bodyweight) {
+  switch (loadType) {
+    case 'bodyweight':
+      return 0;
+    case 'bodyweight-plus':
+      return Math.max(0, load - (bodyweight || 0));
+    case 'assisted':
+      return Math.max(0, (bodyweight || 0) - load);
+    default:
+      return load;
+  }
+}
+
+// Set types - sets logged before types existed have none and count as working sets
+const SET_TYPES = {
+  working: { label: 'Working', badge: null },
+  warmup: { label: 'Warm-up', badge: 'W' },
+  drop: { label: 'Drop set', badge: 'D' },
+  failure: { label: 'To failure', badge: 'F' },
+  amrap: { label: 'AMRAP', badge: 'AMRAP' }
+};
+
+const DEFAULT_SET_TYPE = 'working';
+
+function getSetType(set) {
+  return set && SET_TYPES[set.setType] ? set.setType : DEFAULT_SET_TYPE;
+}
+
+// Machines sharing a group within a session: two make a superset, more a circuit
+function getGroupLabel(machineCount) {
+  return machineCount > 2 ? 'Circuit' : 'Superset';
+}
+
+// Cardio - distances are stored in km and durations in seconds
+const KM_PER_MILE = 1.609344;
+
+// Seconds per distance unit, or null when there is no distance to pace
+function calculatePace(durationSec, distance) {
+  if (!durationSec || !distance || distance <= 0) return null;
+  return durationSec / distance;
+}
+
+// Distance units per hour
+function calculateSpeed(durationSec, distance) {
+  if (!durationSec || !distance || durationSec <= 0) return null;
+  return distance / (durationSec / 3600);
+}
+
+function computeCardioTotals(entries) {
+  const totals = {
+    sessionCount: new Set(entries.map(entry => entry.date)).size,
+    durationSec: 0,
+    distanceKm: 0,
+    calories: 0,
+    longestDuration: null,
+    longestDistance: null,
+    fastestSpeed: null
+  };
+
+  entries.forEach(entry => {
+    totals.durationSec += entry.durationSec || 0;
+    totals.distanceKm += entry.distanceKm || 0;
+    totals.calories += entry.calories || 0;
+
+    if (entry.durationSec && (!totals.longestDuration || entry.durationSec > totals.longestDuration.value)) {
+      totals.longestDuration = { value: entry.durationSec, date: entry.date };
+    }
+    if (entry.distanceKm && (!totals.longestDistance || entry.distanceKm > totals.longestDistance.value)) {
+      totals.longestDistance = { value: entry.distanceKm, date: entry.date };
+    }
+    const speed = calculateSpeed(entry.durationSec, entry.distanceKm);
+    if (speed && (!totals.fastestSpeed || speed > totals.fastestSpeed.value)) {
+      totals.fastestSpeed = { value: speed, date: entry.date };
+    }
+  });
+
+  return totals;
+}
+
+// Training dashboard - weeks start on Monday, dates are YYYY-MM-DD strings in the local calendar
+const HEATMAP_WEEKS = 26;
+
+// Sets without an RPE count as hard; a logged RPE below this was too far from failure. Warm-ups never count.
+const HARD_SET_MIN_RPE = 7;
+
+function isHardSet(entry) {
+  return getSetType(entry) !== 'warmup' && (!entry.rpe || entry.rpe >= HARD_SET_MIN_RPE);
+}
+
+function toDateKey(date) {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+function getWeekStart(dateKey) {
+  const date = new Date(`${dateKey}T00:00:00`);
+  return addDays(dateKey, -((date.getDay() + 6) % 7));
+}
+
+// entries: strength sets as { date, machineId, muscleGroup, volume, rpe, setType }
+// Returns week start -> muscle group -> { hardSets, volume, machines: machineId -> hard sets }
+function computeWeeklyMuscleStats(entries) {
+  const weeks = new Map();
+
+  entries.forEach(entry => {
+    const week = getWeekStart(entry.date);
+    if (!weeks.has(week)) {
+      weeks.set(week, new Map());
+    }
+    const groups = weeks.get(week);
+    if (!groups.has(entry.muscleGroup)) {
+      groups.set(entry.muscleGroup, { hardSets: 0, volume: 0, machines: new Map() });
+    }
+
+    const stats = groups.get(entry.muscleGroup);
+    stats.volume += entry.volume;
+    if (isHardSet(entry)) {
+      stats.hardSets++;
+      stats.machines.set(entry.machineId, (stats.machines.get(entry.machineId) || 0) + 1);
+    }
+  });
+
+  return weeks;
+}
+
+// Week start -> number of distinct training days
+function computeTrainingDays(dates) {
+  const weeks = new Map();
+  new Set(dates).forEach(date => {
+    const week = getWeekStart(date);
+    weeks.set(week, (weeks.get(week) || 0) + 1);
+  });
+  return weeks;
+}
+
+// Streaks count weeks in a row with at least one training day. The current week
+// doesn't break the streak until it is over.
+function computeWeekStreaks(dates, today) {
+  const weeks = Array.from(new Set(dates.map(getWeekStart))).sort();
+  let longest = 0;
+  let run = 0;
+  weeks.forEach((week, index) => {
+    run = index > 0 && addDays(weeks[index - 1], 7) === week ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const trained = new Set(weeks);
+  let week = getWeekStart(today);
+  if (!trained.has(week)) {
+    week = addDays(week, -7);
+  }
+  let current = 0;
+  while (trained.has(week)) {
+    current++;
+    week = addDays(week, -7);
+  }
+
+  return { current, longest };
+}
+
+// Columns of 7 days (Monday first) ending with the current week; future days are null
+function buildHeatmapWeeks(today, weekCount = HEATMAP_WEEKS) {
+  const firstWeek = addDays(getWeekStart(today), -7 * (weekCount - 1));
+  return Array.from({ length: weekCount }, (_, weekIndex) =>
+    Array.from({ length: 7 }, (_, dayIndex) => {
+      const date = addDays(firstWeek, weekIndex * 7 + dayIndex);
+      return date <= today ? date : null;
+    })
+  );
+}
+
+// Trend lines - points are { x, y } with x in days, ordered by x
+const MOVING_AVERAGE_POINTS = 5;
+
+// Trailing average over the last few points, so early points average fewer values
+function movingAverage(points, size = MOVING_AVERAGE_POINTS) {
+  return points.map((point, index) => {
+    const window = points.slice(Math.max(0, index - size + 1), index + 1);
+    return { x: point.x, y: window.reduce((sum, p) => sum + p.y, 0) / window.length };
+  });
+}
+
+// Least-squares line, or null when the points don't span at least two days
+function linearRegression(points) {
+  if (points.length < 2) return null;
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  let sumXX = 0;
+  let sumXY = 0;
+  points.forEach(point => {
+    sumXX += (point.x - meanX) * (point.x - meanX);
+    sumXY += (point.x - meanX) * (point.y - meanY);
+  });
+  if (sumXX === 0) return null;
+
+  const slope = sumXY / sumXX;
+  return { slope, intercept: meanY - slope * meanX };
+}
@@ -9,21 +9,171 @@ db.version(1).stores({
     settings: 'id, unit, theme, lastBackupAt'
 });
 
+db.version(2).stores({
+    routines: '++id, name, createdAt, updatedAt'
+});
+
+db.version(3).stores({
+    prs: '++id, machineId, date, type'
+});
+
+// Stable uids so records keep their identity across backup imports
+db.version(4).stores({
+    machines: '++id, &uid, label, muscleGroup, imageFull, imageThumb, createdAt, updatedAt',
+    sessions: '++id, &uid, date',
+    sets: '++id, &uid, sessionId, machineId, order, weightKg, reps, rpe, notes',
+    routines: '++id, &uid, name, createdAt, updatedAt',
+    prs: '++id, &uid, machineId, date, type'
+}).upgrade(tx => Promise.all(RECORD_TABLES.map(table =>
+    tx.table(table).toCollection().modify(record => {
+        if (!record.uid) record.uid = generateUid();
+    })
+)));
+
+// Timestamps on sessions and sets, a compound index for a machine's sets in a session,
+// and duplicate sessions for one date folded together ahead of the unique index in v6
+db.version(5).stores({
+    sessions: '++id, &uid, date, createdAt, updatedAt',
+    sets: '++id, &uid, sessionId, machineId, [sessionId+machineId], order, weightKg, reps, rpe, notes, createdAt, updatedAt'
+}).upgrade(async tx => {
+    const [sessions, sets] = await Promise.all([tx.table('sessions').toArray(), tx.table('sets').toArray()]);
+    const { movedSets, removedSessionIds } = foldDuplicateSessions(sessions, sets);
+    await tx.table('sets').bulkPut(movedSets);
+    await tx.table('sessions').bulkDelete(removedSessionIds);
+    
+    const sessionDates = new Map(sessions.map(session => [session.id, session.date]));
+    const dayStart = date => new Date(`${date}T00:00:00`);
+    await tx.table('sessions').toCollection().modify(session => {
+        session.createdAt = session.createdAt || dayStart(session.date);
+        session.updatedAt = session.updatedAt || session.createdAt;
+    });
+    await tx.table('sets').toCollection().modify(set => {
+        // Sets whose session is gone have no date to go by
+        const date = sessionDates.get(set.sessionId);
+        set.createdAt = set.createdAt || (date ? dayStart(date) : new Date());
+        set.updatedAt = set.updatedAt || set.createdAt;
+    });
+});
+
+db.version(6).stores({
+    sessions: '++id, &uid, &date, createdAt, updatedAt'
+});
+
+// Sync change log: which machines and sets changed since the last push, plus delete tombstones
+db.version(7).stores({
+    syncChanges: '++seq, [table+uid], pushed'
+});
+
+// Local snapshots taken before destructive operations
+db.version(8).stores({
+    snapshots: '++id, createdAt'
+});
+
+// Deleted machines and sets, kept until restored or purged
+db.version(9).stores({
+    trash: '++id, deletedAt'
+});
+
+// Hooks go after every db.version() call: declaring a version rebuilds the table objects
+// and drops any hooks registered on them before it.
+
+// Dexie runs upgrades inside an ordinary readwrite transaction object, so only the native
+// IndexedDB transaction underneath tells a schema upgrade apart
+function isUpgradeTransaction(tx) {
+    return Boolean(tx.idbtrans && tx.idbtrans.mode === 'versionchange');
+}
+
+// Every record gets a uid and timestamps on creation; updates bump updatedAt
+RECORD_TABLES.forEach(table => {
+    db[table].hook('creating', (primKey, record) => {
+        if (!record.uid) record.uid = generateUid();
+        if (!record.createdAt) record.createdAt = new Date();
+        if (!record.updatedAt) record.updatedAt = record.createdAt;
+    });
+    db[table].hook('updating', (modifications, primKey, record, tx) => {
+        // Schema upgrades backfill their own timestamps
+        if (isUpgradeTransaction(tx) || 'updatedAt' in modifications) return;
+        return { updatedAt: new Date() };
+    });
+});
+
+// Sync change log: record every machine and set change, plus delete tombstones
+SYNC_TABLES.forEach(table => {
+    db[table].hook('creating', (primKey, record, tx) => {
+        logSyncChange(tx, table, record.uid, 'put');
+    });
+    db[table].hook('updating', (modifications, primKey, record, tx) => {
+        logSyncChange(tx, table, record.uid, 'put');
+        // A local edit makes this device the record's last writer again
+        if (!tx.fromSync && record.updatedBy) return { updatedBy: undefined };
+    });
+    db[table].hook('deleting', (primKey, record, tx) => {
+        logSyncChange(tx, table, record.uid, 'delete');
+    });
+});
+
 // Global state
 let currentScreen = 'machines';
 let currentMachine = null;
 let editingMachine = null;
 let editingSet = null;
-let appSettings = { unit: 'kg', theme: 'dark' };
+let currentSession = null;
+let editingRoutine = null;
+let routineItems = [];
+let routineMachineOptions = [];
+let setupFields = [];
+let groupMachineOptions = [];
+let groupSelection = [];
+let activeWorkout = null;
+let pendingImport = null;
+let pendingBackup = null;
+let appSettings = { unit: 'kg', theme: 'dark', restSeconds: null, activeWorkout: null, e1rmFormula: DEFAULT_E1RM_FORMULA, bodyweightKg: null };
 let machineChart = null;
+let chartOptions = { machineId: null, days: null, metric: null, trend: 'none', repsWeightKg: null };
+let compareChart = null;
+let compareOptions = { machineIds: [], metric: 'e1rm', normalize: false, returnScreen: 'machines' };
+let dashboardChart = null;
+let dashboardWeek = null;
+let calendarMonth = null;
+let restTimer = null;
+let restAudioContext = null;
+let syncInProgress = false;
+let syncTimer = null;
+let transferAnimation = null;
+let transferScan = null;
+let modalBackPending = false;
+let toastTimer = null;
+let historyQueue = [];
+
+const DEFAULT_REST_SECONDS = 90;
+const WEIGHT_INCREMENTS = { kg: 2.5, lb: 5 };
+const BACK_OFF_FACTOR = 0.9;
+const DEFAULT_SYNC_SETTINGS = { enabled: false, endpoint: '', token: '', deviceId: null, cursor: 0, lastSyncedAt: null, lastError: null };
+const SYNC_DELAY_MS = 5000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const DEFAULT_BACKUP_REMINDER_DAYS = 14;
+const SNAPSHOT_LIMIT = 5;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const UNDO_TOAST_MS = 5000;
+const DASHBOARD_CHART_WEEKS = 12;
+const CHART_PROJECTION_DAYS = 28;
+const COMPARE_COLORS = ['#a855f7', '#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#ec4899'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// meta: browser/OS chrome colour; the rest are Chart.js colours
+const THEME_COLORS = {
+  dark: { meta: '#0d0c22', text: '#ffffff', muted: '#9ca3af', grid: 'rgba(255, 255, 255, 0.1)' },
+  light: { meta: '#f5f3ff', text: '#111827', muted: '#6b7280', grid: 'rgba(15, 23, 42, 0.1)' }
+};
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', async() => {
     await initDatabase();
     await loadSettings();
+    purgeExpiredTrash();
     registerServiceWorker();
     setupEventListeners();
-    showScreen('machines');
+    await applyRoute(location.hash, true);
+    syncNow();
 });
 
 // Database initialization
@@ -38,7 +188,13 @@ async function initDatabase() {
                 id: 'app',
                 unit: 'kg',
                 theme: 'dark',
-                lastBackupAt: null
+                restSeconds: null,
+                e1rmFormula: DEFAULT_E1RM_FORMULA,
+                excludeWarmups: true,
+                bodyweightKg: null,
+                lastBackupAt: null,
+                backupReminderDays: DEFAULT_BACKUP_REMINDER_DAYS,
+                trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS
             });
         }
     } catch (error) {
@@ -53,8 +209,17 @@ async function loadSettings() {
         const settings = await db.settings.get('app');
         if (settings) {
             appSettings = settings;
+            activeWorkout = settings.activeWorkout || null;
+            applyTheme();
+            updateThemeButtons();
             updateUnitButtons();
             updateWeightUnits();
+            updateRestSettings();
+            updateFormulaSelect();
+            updateWarmupSetting();
+            updateBodyweightInput();
+            updateSyncSettings();
+            updateBackupSettings();
         }
     } catch (error) {
         console.error('Failed to load settings:', error);
@@ -118,9 +283,66 @@ function setupEventListeners() {
     // Set form
     document.getElementById('set-form').addEventListener('submit', handleSetSubmit);
 
+    // Routine form
+    document.getElementById('routine-form').addEventListener('submit', handleRoutineSubmit);
+
     // Photo preview
     document.getElementById('machine-photo').addEventListener('change', previewPhoto);
 
+    // Machine type toggles the load type field
+    document.getElementById('machine-exercise-type').addEventListener('change', updateMachineTypeFields);
+
+    // e1RM formula
+    document.getElementById('e1rm-formula').addEventListener('change', (e) => {
+        setE1RMFormula(e.target.value);
+    });
+
+    // Warm-up sets in stats
+    document.getElementById('warmup-sets').addEventListener('change', (e) => {
+        setExcludeWarmups(e.target.value === 'exclude');
+    });
+
+    // Bodyweight
+    document.getElementById('bodyweight-input').addEventListener('change', (e) => {
+        setBodyweight(e.target.value);
+    });
+
+    // Rest timer override
+    document.getElementById('rest-override').addEventListener('change', (e) => {
+        setRestOverride(e.target.value);
+    });
+
+    // Follow OS light/dark changes when the theme is 'system'
+    window.matchMedia('(prefers-color-scheme: light)').addEventListener('change', () => {
+        if (appSettings.theme === 'system') applyTheme();
+    });
+
+    // Backup reminder
+    document.getElementById('backup-reminder-days').addEventListener('change', (e) => {
+        setBackupReminderDays(e.target.value);
+    });
+
+    // Trash retention
+    document.getElementById('trash-retention-days').addEventListener('change', (e) => {
+        setTrashRetentionDays(e.target.value);
+    });
+
+    // Sync endpoint and token
+    document.getElementById('sync-endpoint').addEventListener('change', (e) => {
+        setSyncEndpoint(e.target.value);
+    });
+    document.getElementById('sync-token').addEventListener('change', (e) => {
+        setSyncToken(e.target.value);
+    });
+
+    // Pick up other devices' changes when the app comes back to the foreground
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') syncNow();
+    });
+
+    // Back/Forward, including the Android back button, and edited hashes
+    window.addEventListener('popstate', handlePopState);
+
     // Enhance camera UX on mobile
     const photoInput = document.getElementById('machine-photo');
     const photoLabel = document.getElementById('machine-photo-label');
@@ -143,14 +365,100 @@ function setupEventListeners() {
 }
 
 // Screen navigation
-function showScreen(screenName) {
+// Routes are hashes such as #/machines/12. Each screen gets a history entry, and an open modal
+// gets one more so Back (including Android's) closes it instead of leaving the app.
+function getRoutePath() {
+    switch (currentScreen) {
+        case 'machine-detail':
+            return currentMachine ? `/machines/${currentMachine.id}` : '/machines';
+        case 'session-detail':
+            return currentSession ? `/sessions/${currentSession.id}` : '/sessions';
+        case 'calendar':
+            return '/sessions/calendar';
+        case 'dashboard':
+            return '/stats';
+        case 'compare':
+            return compareOptions.machineIds.length ? `/compare/${compareOptions.machineIds.join(',')}` : '/compare';
+        default:
+            return `/${currentScreen}`;
+    }
+}
+
+// Shows the screen for a hash; unknown routes and missing records fall back to the list
+async function applyRoute(hash, fromHistory = false) {
+    const [section, param] = hash.replace(/^#\/?/, '').split('/');
+    const id = parseInt(param);
+
+    try {
+        if (section === 'machines' && id) {
+            currentMachine = await db.machines.get(id);
+            showScreen(currentMachine ? 'machine-detail' : 'machines', fromHistory);
+        } else if (section === 'sessions' && param === 'calendar') {
+            showScreen('calendar', fromHistory);
+        } else if (section === 'sessions' && id) {
+            currentSession = await db.sessions.get(id);
+            showScreen(currentSession ? 'session-detail' : 'sessions', fromHistory);
+        } else if (section === 'stats') {
+            showScreen('dashboard', fromHistory);
+        } else if (section === 'compare') {
+            compareOptions.machineIds = (param || '').split(',').map(Number).filter(Boolean);
+            showScreen('compare', fromHistory);
+        } else if (['sessions', 'routines', 'workout', 'settings'].includes(section)) {
+            showScreen(section, fromHistory);
+        } else {
+            showScreen('machines', fromHistory);
+        }
+    } catch (error) {
+        console.error('Failed to open route:', error);
+        showScreen('machines', fromHistory);
+    }
+}
+
+// replace: rewrite the current entry (reloads, Back/Forward, redirects) instead of adding one
+function updateRoute(replace = false) {
+    whenHistorySettled(() => {
+        const hash = `#${getRoutePath()}`;
+        const depth = history.state ? history.state.depth : 0;
+        if (replace) {
+            history.replaceState({ depth }, '', hash);
+        } else if (hash !== location.hash) {
+            history.pushState({ depth: depth + 1 }, '', hash);
+        }
+    });
+}
+
+// Closing a modal steps back over its history entry; anything that touches history before
+// that popstate arrives waits for it, or the pending back would undo it
+function whenHistorySettled(callback) {
+    if (modalBackPending) {
+        historyQueue.push(callback);
+    } else {
+        callback();
+    }
+}
+
+function handlePopState() {
+    if (modalBackPending) {
+        modalBackPending = false;
+        historyQueue.splice(0).forEach(callback => callback());
+        return;
+    }
+
+    if (document.querySelector('[id$="-modal"]:not(.hidden)')) {
+        closeModals();
+        if (location.hash === `#${getRoutePath()}`) return;
+    }
+    applyRoute(location.hash, true);
+}
+
+function showScreen(screenName, fromHistory = false) {
     // Hide all screens
     document.querySelectorAll('.screen').forEach(screen => {
         screen.classList.add('hidden');
     });
 
     // Update navigation (only tabs, exclude action button)
-    document.querySelectorAll('#nav-machines, #nav-settings').forEach(nav => {
+    document.querySelectorAll('#nav-machines, #nav-sessions, #nav-dashboard, #nav-routines, #nav-settings').forEach(nav => {
         nav.classList.remove('text-purple-400');
         nav.classList.add('text-white/50');
     });
@@ -185,6 +493,97 @@ function showScreen(screenName) {
             loadMachineDetail();
             break;
 
+        case 'sessions':
+            document.getElementById('sessions-screen').classList.remove('hidden');
+            document.getElementById('nav-sessions').classList.add('text-purple-400');
+            document.getElementById('nav-sessions').classList.remove('text-white/50');
+            document.getElementById('page-title').textContent = 'Sessions';
+            document.getElementById('back-btn').classList.add('hidden');
+            const actionBtnSessions = document.getElementById('nav-action');
+            if (actionBtnSessions) {
+                actionBtnSessions.classList.add('hidden');
+            }
+            loadSessions();
+            break;
+
+        case 'dashboard':
+            document.getElementById('dashboard-screen').classList.remove('hidden');
+            document.getElementById('nav-dashboard').classList.add('text-purple-400');
+            document.getElementById('nav-dashboard').classList.remove('text-white/50');
+            document.getElementById('page-title').textContent = 'Dashboard';
+            document.getElementById('back-btn').classList.add('hidden');
+            const actionBtnDashboard = document.getElementById('nav-action');
+            if (actionBtnDashboard) {
+                actionBtnDashboard.classList.add('hidden');
+            }
+            loadDashboard();
+            break;
+
+        case 'calendar':
+            document.getElementById('calendar-screen').classList.remove('hidden');
+            document.getElementById('nav-sessions').classList.add('text-purple-400');
+            document.getElementById('nav-sessions').classList.remove('text-white/50');
+            document.getElementById('page-title').textContent = 'Calendar';
+            document.getElementById('back-btn').classList.add('hidden');
+            const actionBtnCalendar = document.getElementById('nav-action');
+            if (actionBtnCalendar) {
+                actionBtnCalendar.classList.add('hidden');
+            }
+            loadCalendar();
+            break;
+
+        case 'compare':
+            document.getElementById('compare-screen').classList.remove('hidden');
+            document.getElementById('page-title').textContent = 'Compare';
+            document.getElementById('back-btn').classList.remove('hidden');
+            const actionBtnCompare = document.getElementById('nav-action');
+            if (actionBtnCompare) {
+                actionBtnCompare.classList.add('hidden');
+            }
+            loadCompare();
+            break;
+
+        case 'session-detail':
+            document.getElementById('session-detail-screen').classList.remove('hidden');
+            document.getElementById('page-title').textContent = currentSession ? formatDate(currentSession.date) : 'Session';
+            document.getElementById('back-btn').classList.remove('hidden');
+            const actionBtnSession = document.getElementById('nav-action');
+            if (actionBtnSession) {
+                actionBtnSession.classList.add('hidden');
+            }
+            loadSessionDetail();
+            break;
+
+        case 'routines':
+            document.getElementById('routines-screen').classList.remove('hidden');
+            document.getElementById('nav-routines').classList.add('text-purple-400');
+            document.getElementById('nav-routines').classList.remove('text-white/50');
+            document.getElementById('page-title').textContent = 'Routines';
+            document.getElementById('back-btn').classList.add('hidden');
+            const actionBtnRoutines = document.getElementById('nav-action');
+            if (actionBtnRoutines) {
+                actionBtnRoutines.textContent = 'New Routine';
+                actionBtnRoutines.onclick = () => showAddRoutineModal();
+                actionBtnRoutines.classList.remove('hidden');
+            }
+            loadRoutines();
+            break;
+
+        case 'workout':
+            document.getElementById('workout-screen').classList.remove('hidden');
+            document.getElementById('nav-routines').classList.add('text-purple-400');
+            document.getElementById('nav-routines').classList.remove('text-white/50');
+            document.getElementById('page-title').textContent = 'Workout';
+            document.getElementById('back-btn').classList.remove('hidden');
+            const actionBtnWorkout = document.getElementById('nav-action');
+            if (actionBtnWorkout) {
+                actionBtnWorkout.textContent = 'Log Set';
+                actionBtnWorkout.onclick = () => logNextWorkoutSet();
+                actionBtnWorkout.classList.remove('hidden');
+            }
+            loadWorkout();
+            break;
+
         case 'settings':
             document.getElementById('settings-screen').classList.remove('hidden');
             document.getElementById('nav-settings').classList.add('text-purple-400');
@@ -195,19 +594,35 @@ function showScreen(screenName) {
             if (actionBtn3) {
                 actionBtn3.classList.add('hidden');
             }
+            updateBackupSettings();
+            loadSnapshots();
+            updateTrashSettings();
+            loadTrash();
             break;
 
         default:
-            showScreen('machines');
+            showScreen('machines', fromHistory);
+            return;
     }
 
     // nothing to do for action button here; handled per-case
+    updateRoute(fromHistory);
 }
 
+// Back through the app's own history; a deep link opened fresh goes up to its parent instead
 function goBack() {
-    if (currentScreen === 'machine-detail') {
-        showScreen('machines');
+    if (history.state && history.state.depth > 0) {
+        history.back();
+        return;
     }
+
+    const parents = {
+        'machine-detail': 'machines',
+        'session-detail': 'sessions',
+        workout: 'routines',
+        compare: compareOptions.returnScreen
+    };
+    showScreen(parents[currentScreen] || 'machines', true);
 }
 
 // Machine management
@@ -216,6 +631,7 @@ async function loadMachines() {
         const machines = await db.machines.orderBy('label').toArray();
         const machinesList = document.getElementById('machines-list');
         const emptyState = document.getElementById('empty-machines');
+        updateBackupReminder();
 
         if (machines.length === 0) {
             machinesList.innerHTML = '';
@@ -283,6 +699,8 @@ async function loadMachineDetail() {
   try {
     // Machine info
     const machineDetail = document.getElementById('machine-detail');
+    const setupHistory = currentMachine.setupHistory || [];
+    const setupChanges = getSetupChanges(setupHistory);
     machineDetail.innerHTML = `
       <div class="glass rounded-xl p-4">
         <div class="overflow-hidden -mx-4 -mt-4 mb-4 rounded-t-xl border-b border-white/10">
@@ -313,6 +731,31 @@ async function loadMachineDetail() {
             </button>
           </div>
         </div>
+        ${currentMachine.setup && currentMachine.setup.length ? `
+          <div class="grid grid-cols-2 gap-2 mt-4">
+            ${currentMachine.setup.map(field => {
+              const since = setupHistory.length > 1 ? getSetupFieldSince(setupChanges, field.name) : null;
+              return `
+                <div class="p-2 bg-white/5 rounded-lg">
+                  <div class="text-xs text-white/60">${field.name}</div>
+                  <div class="font-medium">${field.value || '–'}</div>
+                  ${since ? `<div class="text-xs text-white/40">since ${formatDate(since)}</div>` : ''}
+                </div>
+              `;
+            }).join('')}
+          </div>
+        ` : ''}
+        ${setupChanges.length > 1 ? `
+          <button onclick="this.nextElementSibling.classList.toggle('hidden')" class="text-sm text-white/60 hover:text-white mt-3">Setup history (${setupChanges.length} changes)</button>
+          <div class="hidden mt-2 space-y-2">
+            ${setupChanges.map(entry => `
+              <div class="text-sm p-2 bg-white/5 rounded-lg">
+                <div class="text-white/60">${formatDate(entry.date)}</div>
+                <div>${entry.changes.map(formatSetupChange).join(' · ')}</div>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
       </div>`;
     
     // Load stats and chart
@@ -329,9 +772,9 @@ async function loadMachineStats() {
   if (!currentMachine) return;
   
   try {
-    const sets = await db.sets.where('machineId').equals(currentMachine.id).toArray();
+    const entries = await getMachineSetEntries(currentMachine);
     
-    if (sets.length === 0) {
+    if (entries.length === 0) {
       document.getElementById('machine-stats').innerHTML = `
         <div class="glass rounded-xl p-4 text-center">
           <p class="text-white/60">No sets recorded yet</p>
@@ -340,42 +783,72 @@ async function loadMachineStats() {
       return;
     }
     
-    // Calculate best estimated 1RM
-    let bestE1RM = 0;
-    let bestDate = null;
-    
-    sets.forEach(set => {
-      const epley = set.weightKg * (1 + set.reps / 30);
-      const brzycki = set.weightKg * 36 / (37 - set.reps);
-      const e1rm = Math.max(epley, brzycki);
-      
-      if (e1rm > bestE1RM) {
-        bestE1RM = e1rm;
-        bestDate = set.sessionId;
-      }
-    });
+    if (isCardioMachine(currentMachine)) {
+      renderCardioStats(entries);
+      return;
+    }
     
-    // Get session date for PR
-    const prSession = await db.sessions.get(bestDate);
-    const displayWeight = convertWeight(bestE1RM, appSettings.unit);
+    const records = computePersonalRecords(entries, appSettings.e1rmFormula);
+    const prLog = await db.prs.where('machineId').equals(currentMachine.id).toArray();
+    prLog.sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+    const unit = appSettings.unit;
     
     document.getElementById('machine-stats').innerHTML = `
       <div class="glass rounded-xl p-4">
         <h3 class="text-lg font-semibold mb-3">Personal Records</h3>
         <div class="grid grid-cols-3 gap-4 text-center">
           <div>
-            <div class="text-2xl font-bold text-purple-400">${displayWeight.toFixed(1)}</div>
-            <div class="text-sm text-white/60">Best e1RM (${appSettings.unit})</div>
+            <div class="text-2xl font-bold text-purple-400">${convertWeight(records.bestE1RM.value, unit).toFixed(1)}</div>
+            <div class="text-sm text-white/60">Best e1RM (${unit})</div>
           </div>
           <div>
-            <div class="text-2xl font-bold text-green-400">${sets.length}</div>
+            <div class="text-2xl font-bold text-green-400">${entries.length}</div>
             <div class="text-sm text-white/60">Total Sets</div>
           </div>
           <div>
-            <div class="text-2xl font-bold text-blue-400">${prSession ? formatDate(prSession.date) : 'N/A'}</div>
+            <div class="text-2xl font-bold text-blue-400">${formatDate(records.bestE1RM.date)}</div>
             <div class="text-sm text-white/60">PR Date</div>
           </div>
         </div>
+        
+        <h4 class="font-medium mt-5 mb-2">Rep Maxes</h4>
+        ${getLoadType(currentMachine) !== 'external' ? '<p class="text-xs text-white/40 mb-2">Loads include bodyweight</p>' : ''}
+        <div class="grid grid-cols-7 gap-1 text-center text-sm">
+          ${REP_MAX_TARGETS.map(target => {
+            const record = records.repMaxes[target];
+            return `
+              <div class="p-2 bg-white/5 rounded-lg" title="${record ? formatDate(record.date) : ''}">
+                <div class="text-white/60">${target}RM</div>
+                <div class="font-semibold">${record ? convertWeight(record.value, unit).toFixed(1) : '-'}</div>
+              </div>
+            `;
+          }).join('')}
+        </div>
+        
+        <div class="grid grid-cols-2 gap-4 mt-4 text-center">
+          <div class="p-3 bg-white/5 rounded-lg">
+            <div class="text-lg font-bold text-green-400">${convertWeight(records.bestSetVolume.value, unit).toFixed(0)} ${unit}</div>
+            <div class="text-sm text-white/60">Best Set Volume</div>
+            <div class="text-xs text-white/40">${convertWeight(records.bestSetVolume.weightKg, unit).toFixed(1)} × ${records.bestSetVolume.reps} · ${formatDate(records.bestSetVolume.date)}</div>
+          </div>
+          <div class="p-3 bg-white/5 rounded-lg">
+            <div class="text-lg font-bold text-green-400">${convertWeight(records.bestSessionVolume.value, unit).toFixed(0)} ${unit}</div>
+            <div class="text-sm text-white/60">Best Session Volume</div>
+            <div class="text-xs text-white/40">${formatDate(records.bestSessionVolume.date)}</div>
+          </div>
+        </div>
+        
+        ${prLog.length ? `
+          <h4 class="font-medium mt-5 mb-2">PR History</h4>
+          <div class="space-y-1 text-sm">
+            ${prLog.slice(0, 10).map(pr => `
+              <div class="flex items-center justify-between p-2 bg-white/5 rounded-lg">
+                <span>🏆 ${formatRecordType(pr.type)}: ${convertWeight(pr.value, unit).toFixed(1)} ${unit}</span>
+                <span class="text-white/60">${formatDate(pr.date)}</span>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
       </div>
     `;
   } catch (error) {
@@ -383,25 +856,148 @@ async function loadMachineStats() {
   }
 }
 
+function renderCardioStats(entries) {
+  const totals = computeCardioTotals(entries);
+  const distanceUnit = getDistanceUnit();
+  const longestDistance = totals.longestDistance ? convertDistance(totals.longestDistance.value, distanceUnit).toFixed(2) : '-';
+  const fastestSpeed = totals.fastestSpeed ? convertDistance(totals.fastestSpeed.value, distanceUnit).toFixed(1) : '-';
+  
+  document.getElementById('machine-stats').innerHTML = `
+    <div class="glass rounded-xl p-4">
+      <h3 class="text-lg font-semibold mb-3">Cardio Totals</h3>
+      <div class="grid grid-cols-3 gap-4 text-center">
+        <div>
+          <div class="text-2xl font-bold text-purple-400">${totals.sessionCount}</div>
+          <div class="text-sm text-white/60">Sessions</div>
+        </div>
+        <div>
+          <div class="text-2xl font-bold text-green-400">${convertDistance(totals.distanceKm, distanceUnit).toFixed(1)}</div>
+          <div class="text-sm text-white/60">Distance (${distanceUnit})</div>
+        </div>
+        <div>
+          <div class="text-2xl font-bold text-blue-400">${formatDuration(totals.durationSec)}</div>
+          <div class="text-sm text-white/60">Time</div>
+        </div>
+      </div>
+      
+      <h4 class="font-medium mt-5 mb-2">Bests</h4>
+      <div class="grid grid-cols-3 gap-2 text-center text-sm">
+        <div class="p-2 bg-white/5 rounded-lg">
+          <div class="text-white/60">Longest</div>
+          <div class="font-semibold">${totals.longestDuration ? formatDuration(totals.longestDuration.value) : '-'}</div>
+        </div>
+        <div class="p-2 bg-white/5 rounded-lg">
+          <div class="text-white/60">Farthest (${distanceUnit})</div>
+          <div class="font-semibold">${longestDistance}</div>
+        </div>
+        <div class="p-2 bg-white/5 rounded-lg">
+          <div class="text-white/60">Fastest (${distanceUnit}/h)</div>
+          <div class="font-semibold">${fastestSpeed}</div>
+        </div>
+      </div>
+      ${totals.calories ? `<p class="text-sm text-white/60 mt-3 text-center">${Math.round(totals.calories)} kcal burned in total</p>` : ''}
+    </div>
+  `;
+}
+
+// All counted sets of a machine tagged with their session date, weightKg replaced by the effective load
+async function getMachineSetEntries(machine) {
+  const [sets, sessions] = await Promise.all([
+    db.sets.where('machineId').equals(machine.id).toArray(),
+    db.sessions.toArray()
+  ]);
+  const sessionMap = new Map(sessions.map(s => [s.id, s]));
+  
+  return sets
+    .filter(set => sessionMap.has(set.sessionId) && isCountedSet(set))
+    .map(set => ({ ...toLoadEntry(set, machine), date: sessionMap.get(set.sessionId).date }));
+}
+
+function formatRecordType(type) {
+  switch (type) {
+    case 'e1rm':
+      return 'e1RM';
+    case 'set-volume':
+      return 'Set volume';
+    case 'session-volume':
+      return 'Session volume';
+    default:
+      return type;
+  }
+}
+
+// Compare records with and without the new set and log any that improved
+async function detectNewRecords(machine, setId) {
+  const entries = await getMachineSetEntries(machine);
+  const newEntry = entries.find(entry => entry.id === setId);
+  if (!newEntry) return [];
+  
+  const before = computePersonalRecords(entries.filter(entry => entry.id !== setId), appSettings.e1rmFormula);
+  const after = computePersonalRecords(entries, appSettings.e1rmFormula);
+  const newRecords = findNewRecords(before, after);
+  
+  if (newRecords.length > 0) {
+    await db.prs.bulkAdd(newRecords.map(record => ({
+      machineId: machine.id,
+      setId,
+      date: newEntry.date,
+      type: record.type,
+      value: record.value,
+      previousValue: record.previousValue,
+      createdAt: new Date()
+    })));
+  }
+  
+  return newRecords;
+}
+
 async function loadMachineChart() {
   if (!currentMachine) return;
   
   try {
+    // Range and weight belong to the machine; metric and trend carry over while they apply
+    const metrics = getChartMetrics(currentMachine);
+    if (chartOptions.machineId !== currentMachine.id) {
+      chartOptions.machineId = currentMachine.id;
+      chartOptions.days = null;
+      chartOptions.repsWeightKg = null;
+    }
+    if (!metrics[chartOptions.metric]) {
+      chartOptions.metric = Object.keys(metrics)[0];
+    }
+    
     const chartContainer = document.getElementById('machine-chart-container');
     chartContainer.innerHTML = `
       <div class="glass rounded-xl p-4">
         <div class="flex items-center justify-between mb-4">
           <h3 class="text-lg font-semibold">Progress</h3>
           <div class="flex space-x-1">
-            <button onclick="setChartRange(7)" class="chart-range px-3 py-1 rounded-lg glass text-sm">7d</button>
-            <button onclick="setChartRange(30)" class="chart-range px-3 py-1 rounded-lg glass text-sm">30d</button>
-            <button onclick="setChartRange(90)" class="chart-range px-3 py-1 rounded-lg glass text-sm">90d</button>
-            <button onclick="setChartRange(null)" class="chart-range px-3 py-1 rounded-lg btn-primary text-sm">All</button>
+            <button onclick="setChartRange(7)" data-range="7" class="chart-range px-3 py-1 rounded-lg ${chartOptions.days === 7 ? 'btn-primary' : 'glass'} text-sm">7d</button>
+            <button onclick="setChartRange(30)" data-range="30" class="chart-range px-3 py-1 rounded-lg ${chartOptions.days === 30 ? 'btn-primary' : 'glass'} text-sm">30d</button>
+            <button onclick="setChartRange(90)" data-range="90" class="chart-range px-3 py-1 rounded-lg ${chartOptions.days === 90 ? 'btn-primary' : 'glass'} text-sm">90d</button>
+            <button onclick="setChartRange(null)" data-range="all" class="chart-range px-3 py-1 rounded-lg ${chartOptions.days ? 'glass' : 'btn-primary'} text-sm">All</button>
           </div>
         </div>
+        <div class="flex space-x-2 mb-3">
+          <select id="chart-metric" onchange="setChartMetric(this.value)" class="flex-1 p-2 rounded-lg glass text-white text-sm border-0 bg-transparent focus:ring-2 focus:ring-purple-500">
+            ${Object.entries(metrics).map(([key, metric]) => `
+              <option value="${key}" class="text-black" ${key === chartOptions.metric ? 'selected' : ''}>${metric.label}</option>
+            `).join('')}
+          </select>
+          <select id="chart-trend" onchange="setChartTrend(this.value)" class="flex-1 p-2 rounded-lg glass text-white text-sm border-0 bg-transparent focus:ring-2 focus:ring-purple-500">
+            <option value="none" class="text-black" ${chartOptions.trend === 'none' ? 'selected' : ''}>No trend</option>
+            <option value="moving-average" class="text-black" ${chartOptions.trend === 'moving-average' ? 'selected' : ''}>Moving average</option>
+            <option value="regression" class="text-black" ${chartOptions.trend === 'regression' ? 'selected' : ''}>Regression</option>
+          </select>
+        </div>
+        <select id="chart-reps-weight" onchange="setChartRepsWeight(this.value)" class="hidden w-full p-2 mb-3 rounded-lg glass text-white text-sm border-0 bg-transparent focus:ring-2 focus:ring-purple-500"></select>
         <div class="relative h-64">
           <canvas id="machine-chart"></canvas>
         </div>
+        <div id="chart-inspect" class="hidden mt-4"></div>
+        ${isCardioMachine(currentMachine) ? '' : `
+          <button onclick="showCompare(${currentMachine.id})" class="w-full mt-3 text-sm text-purple-400">Compare with other machines</button>
+        `}
       </div>
     `;
     
@@ -411,7 +1007,7 @@ async function loadMachineChart() {
   }
 }
 
-async function renderMachineChart(days = null) {
+async function renderMachineChart() {
   if (!currentMachine) return;
   
   try {
@@ -423,7 +1019,9 @@ async function renderMachineChart(days = null) {
     // Destroy existing chart
     if (machineChart) {
       machineChart.destroy();
+      machineChart = null;
     }
+    document.getElementById('chart-inspect').classList.add('hidden');
     
     // Get sets data
     const sets = await db.sets.where('machineId').equals(currentMachine.id).toArray();
@@ -438,129 +1036,88 @@ async function renderMachineChart(days = null) {
       return;
     }
     
-    // Filter by date range
-    let filteredSets = sets;
-    if (days) {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - days);
-      const cutoffString = cutoffDate.toISOString().split('T')[0];
-      
-      filteredSets = sets.filter(set => {
-        const session = sessionMap.get(set.sessionId);
-        return session && session.date >= cutoffString;
-      });
+    const metric = getChartMetrics(currentMachine)[chartOptions.metric];
+    if (chartOptions.metric === 'reps-at-weight') {
+      updateChartRepsWeightOptions(sets);
+    } else {
+      document.getElementById('chart-reps-weight').classList.add('hidden');
     }
     
-    // Group by date and calculate daily best e1RM and total volume
-    const dailyData = new Map();
-    
-    filteredSets.forEach(set => {
-      const session = sessionMap.get(set.sessionId);
-      if (!session) return;
-      
-      const date = session.date;
-      if (!dailyData.has(date)) {
-        dailyData.set(date, { e1rm: 0, volume: 0, sets: [] });
-      }
-      
-      const data = dailyData.get(date);
-      
-      // Calculate e1RM
-      const epley = set.weightKg * (1 + set.reps / 30);
-      const brzycki = set.weightKg * 36 / (37 - set.reps);
-      const e1rm = Math.max(epley, brzycki);
-      data.e1rm = Math.max(data.e1rm, e1rm);
-      
-      // Calculate volume
-      const weightDisplay = convertWeight(set.weightKg, appSettings.unit);
-      data.volume += weightDisplay * set.reps;
-      
-      data.sets.push(set);
-    });
+    const dailyData = groupChartDays(currentMachine, sets, sessionMap, chartOptions.days);
+    const points = getChartPoints(dailyData, metric);
     
-    // Sort dates and prepare chart data
-    const sortedDates = Array.from(dailyData.keys()).sort();
-    const e1rmData = sortedDates.map(date => convertWeight(dailyData.get(date).e1rm, appSettings.unit));
-    const volumeData = sortedDates.map(date => dailyData.get(date).volume);
-    const labels = sortedDates.map(date => formatDate(date));
+    const colors = THEME_COLORS[getActiveTheme()];
+    const datasets = [
+      {
+        label: metric.label,
+        data: points,
+        borderColor: '#a855f7',
+        backgroundColor: 'rgba(168, 85, 247, 0.1)',
+        tension: 0.25,
+        pointBackgroundColor: '#a855f7',
+        pointBorderColor: colors.text,
+        pointBorderWidth: 2,
+        pointRadius: 4,
+        pointHitRadius: 12
+      },
+      ...getTrendDatasets(points)
+    ];
     
     // Create chart
     machineChart = new Chart(ctx, {
       type: 'line',
-      data: {
-        labels: labels,
-        datasets: [
-          {
-            label: `e1RM (${appSettings.unit})`,
-            data: e1rmData,
-            borderColor: '#a855f7',
-            backgroundColor: 'rgba(168, 85, 247, 0.1)',
-            yAxisID: 'y',
-            tension: 0.25,
-            pointBackgroundColor: '#a855f7',
-            pointBorderColor: '#ffffff',
-            pointBorderWidth: 2,
-            pointRadius: 4
-          },
-          {
-            label: `Volume (${appSettings.unit})`,
-            data: volumeData,
-            borderColor: '#10b981',
-            backgroundColor: 'rgba(16, 185, 129, 0.1)',
-            yAxisID: 'y1',
-            tension: 0.25,
-            pointBackgroundColor: '#10b981',
-            pointBorderColor: '#ffffff',
-            pointBorderWidth: 2,
-            pointRadius: 4
-          }
-        ]
-      },
+      data: { datasets },
       options: {
         responsive: true,
         maintainAspectRatio: false,
         plugins: {
           legend: {
             labels: {
-              color: '#ffffff',
+              color: colors.text,
               usePointStyle: true
             }
+          },
+          tooltip: {
+            callbacks: {
+              title: items => items.length ? formatChartDay(items[0].parsed.x, true) : ''
+            }
           }
         },
         scales: {
           x: {
-            ticks: { color: '#9ca3af' },
-            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+            type: 'linear',
+            ticks: {
+              color: colors.muted,
+              maxTicksLimit: 6,
+              callback: value => formatChartDay(value)
+            },
+            grid: { color: colors.grid }
           },
           y: {
             type: 'linear',
             display: true,
             position: 'left',
-            ticks: { color: '#a855f7' },
-            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+            ticks: { color: colors.muted },
+            grid: { color: colors.grid },
             title: {
               display: true,
-              text: `e1RM (${appSettings.unit})`,
+              text: metric.label,
               color: '#a855f7'
             }
-          },
-          y1: {
-            type: 'linear',
-            display: true,
-            position: 'right',
-            ticks: { color: '#10b981' },
-            grid: { drawOnChartArea: false },
-            title: {
-              display: true,
-              text: `Volume (${appSettings.unit})`,
-              color: '#10b981'
-            }
           }
         },
         interaction: {
-          mode: 'index',
+          mode: 'nearest',
+          axis: 'x',
           intersect: false
         },
+        // Tapping a logged day lists its sets under the chart
+        onClick: (chartEvent, elements, chart) => {
+          if (!points.length) return;
+          const x = chart.scales.x.getValueForPixel(chartEvent.x);
+          const nearest = points.reduce((best, point) => Math.abs(point.x - x) < Math.abs(best.x - x) ? point : best);
+          showChartDay(nearest.date, dailyData.get(nearest.date));
+        },
         animation: false
       }
     });
@@ -569,28 +1126,382 @@ async function renderMachineChart(days = null) {
   }
 }
 
+// A machine's sets grouped by session date, with their effective load and e1RM.
+// days: only sessions from the last this many days
+function groupChartDays(machine, sets, sessionMap, days = null) {
+  let cutoffString = null;
+  if (days) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+    cutoffString = cutoffDate.toISOString().split('T')[0];
+  }
+  
+  const dailyData = new Map();
+  sets.forEach(set => {
+    const session = sessionMap.get(set.sessionId);
+    if (!session || (cutoffString && session.date < cutoffString) || !isCountedSet(set)) return;
+    
+    if (!dailyData.has(session.date)) {
+      dailyData.set(session.date, { sessionId: session.id, sets: [] });
+    }
+    dailyData.get(session.date).sets.push({
+      ...set,
+      loadKg: getSetLoadKg(set, machine),
+      e1rm: isCardioMachine(machine) ? 0 : calculateE1RM(set, machine)
+    });
+  });
+  return dailyData;
+}
+
+// One point per day with a value; x is in days so trends and projections are time-proportional
+function getChartPoints(dailyData, metric) {
+  return Array.from(dailyData.keys()).sort()
+    .map(date => ({ x: dateToChartDay(date), y: metric.value(dailyData.get(date).sets), date }))
+    .filter(point => point.y != null && Number.isFinite(point.y));
+}
+
+// Each metric maps a day's sets (loads in kg) to one value, or null to leave the day out
+function getChartMetrics(machine) {
+  if (isCardioMachine(machine)) {
+    const distanceUnit = getDistanceUnit();
+    const totalDistance = sets => sets.reduce((sum, set) => sum + (set.distanceKm || 0), 0);
+    const totalDuration = sets => sets.reduce((sum, set) => sum + (set.durationSec || 0), 0);
+    return {
+      distance: {
+        label: `Distance (${distanceUnit})`,
+        value: sets => convertDistance(totalDistance(sets), distanceUnit)
+      },
+      speed: {
+        label: `Avg speed (${distanceUnit}/h)`,
+        value: sets => calculateSpeed(totalDuration(sets), convertDistance(totalDistance(sets), distanceUnit))
+      },
+      duration: {
+        label: 'Duration (min)',
+        value: sets => totalDuration(sets) / 60 || null
+      }
+    };
+  }
+  
+  const unit = appSettings.unit;
+  return {
+    e1rm: {
+      label: `e1RM (${unit})`,
+      value: sets => convertWeight(Math.max(...sets.map(set => set.e1rm)), unit)
+    },
+    'top-weight': {
+      label: `Top set (${unit})`,
+      value: sets => convertWeight(Math.max(...sets.map(set => set.loadKg)), unit)
+    },
+    'reps-at-weight': {
+      label: 'Best reps at weight',
+      // Sets at or above the chosen weight count, so a heavier set still shows the reps it got
+      value: sets => {
+        const matching = sets.filter(set => set.loadKg >= chartOptions.repsWeightKg - 0.01);
+        return matching.length ? Math.max(...matching.map(set => set.reps || 0)) : null;
+      }
+    },
+    'total-reps': {
+      label: 'Total reps',
+      value: sets => sets.reduce((sum, set) => sum + (set.reps || 0), 0)
+    },
+    volume: {
+      label: `Volume (${unit})`,
+      value: sets => convertWeight(sets.reduce((sum, set) => sum + set.loadKg * (set.reps || 0), 0), unit)
+    },
+    rpe: {
+      label: 'Avg RPE',
+      value: sets => {
+        const rated = sets.filter(set => set.rpe);
+        return rated.length ? rated.reduce((sum, set) => sum + set.rpe, 0) / rated.length : null;
+      }
+    }
+  };
+}
+
+// Loads this machine has been used at, defaulting to the most common one
+function updateChartRepsWeightOptions(sets) {
+  const counts = new Map();
+  sets.forEach(set => {
+    const loadKg = roundTo(getSetLoadKg(set, currentMachine), 2);
+    counts.set(loadKg, (counts.get(loadKg) || 0) + 1);
+  });
+  const loads = Array.from(counts.keys()).sort((a, b) => a - b);
+  if (!counts.has(chartOptions.repsWeightKg)) {
+    chartOptions.repsWeightKg = loads.reduce((best, load) => counts.get(load) > counts.get(best) ? load : best, loads[0]);
+  }
+  
+  const select = document.getElementById('chart-reps-weight');
+  select.innerHTML = loads.map(load => `
+    <option value="${load}" class="text-black" ${load === chartOptions.repsWeightKg ? 'selected' : ''}>
+      At ${roundTo(convertWeight(load, appSettings.unit), 1)} ${appSettings.unit} or more
+    </option>
+  `).join('');
+  select.classList.remove('hidden');
+}
+
+// Moving average or regression over the plotted points, plus a regression projection past the last day
+function getTrendDatasets(points) {
+  if (chartOptions.trend === 'none' || points.length < 2) return [];
+  
+  const colors = THEME_COLORS[getActiveTheme()];
+  const trendStyle = { borderColor: '#10b981', backgroundColor: 'transparent', pointRadius: 0, pointHitRadius: 0, borderWidth: 2, tension: 0.25 };
+  const fit = linearRegression(points);
+  const datasets = [];
+  
+  if (chartOptions.trend === 'moving-average') {
+    datasets.push({ ...trendStyle, label: `${MOVING_AVERAGE_POINTS}-session average`, data: movingAverage(points) });
+  } else if (fit) {
+    datasets.push({
+      ...trendStyle,
+      label: 'Trend',
+      data: [points[0], points[points.length - 1]].map(point => ({ x: point.x, y: fit.intercept + fit.slope * point.x }))
+    });
+  }
+  
+  if (fit) {
+    const lastX = points[points.length - 1].x;
+    datasets.push({
+      ...trendStyle,
+      label: `Projection (${CHART_PROJECTION_DAYS / 7} weeks)`,
+      borderColor: colors.muted,
+      borderDash: [6, 4],
+      data: [lastX, lastX + CHART_PROJECTION_DAYS].map(x => ({ x, y: fit.intercept + fit.slope * x }))
+    });
+  }
+  return datasets;
+}
+
+// Chart x values are whole days since the epoch, so YYYY-MM-DD dates never shift with the time zone
+function dateToChartDay(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function formatChartDay(value, withYear = false) {
+  return new Date(Math.round(value) * DAY_MS).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: withYear ? 'numeric' : undefined,
+    timeZone: 'UTC'
+  });
+}
+
+function showChartDay(date, day) {
+  const inspect = document.getElementById('chart-inspect');
+  inspect.innerHTML = `
+    <div class="flex items-center justify-between mb-2">
+      <h4 class="font-medium">${formatDate(date)}</h4>
+      <button onclick="viewSession(${day.sessionId})" class="text-sm text-purple-400">Open session</button>
+    </div>
+    <div class="space-y-2">
+      ${day.sets.sort((a, b) => a.order - b.order).map(set => renderSetRow(set, currentMachine)).join('')}
+    </div>
+  `;
+  inspect.classList.remove('hidden');
+}
+
 function setChartRange(days) {
+  chartOptions.days = days;
+  
   // Update button styles
   document.querySelectorAll('.chart-range').forEach(btn => {
-  btn.classList.remove('bg-purple-600', 'btn-primary');
-    btn.classList.add('glass');
+    const selected = btn.dataset.range === String(days || 'all');
+    btn.classList.toggle('btn-primary', selected);
+    btn.classList.toggle('glass', !selected);
   });
   
-  event.target.classList.remove('glass');
-  event.target.classList.add('btn-primary');
-  
-  renderMachineChart(days);
+  renderMachineChart();
 }
 
-async function loadMachineHistory() {
-  if (!currentMachine) return;
-  
+function setChartMetric(metric) {
+  chartOptions.metric = metric;
+  renderMachineChart();
+}
+
+function setChartTrend(trend) {
+  chartOptions.trend = trend;
+  renderMachineChart();
+}
+
+function setChartRepsWeight(value) {
+  chartOptions.repsWeightKg = parseFloat(value);
+  renderMachineChart();
+}
+
+// Compare view - several strength machines on one chart, optionally as a percentage of where each started
+function showCompare(machineId = null) {
+  compareOptions.returnScreen = currentScreen;
+  if (machineId && !compareOptions.machineIds.includes(machineId)) {
+    compareOptions.machineIds.push(machineId);
+  }
+  showScreen('compare');
+}
+
+async function loadCompare() {
   try {
-    const sets = await db.sets.where('machineId').equals(currentMachine.id).reverse().toArray();
-    const sessions = await db.sessions.toArray();
-    const sessionMap = new Map(sessions.map(s => [s.id, s]));
+    const machines = (await db.machines.orderBy('label').toArray()).filter(machine => !isCardioMachine(machine));
+    const machineMap = new Map(machines.map(machine => [machine.id, machine]));
+    compareOptions.machineIds = compareOptions.machineIds.filter(id => machineMap.has(id));
     
-    const historyContainer = document.getElementById('machine-history');
+    document.getElementById('compare-metric').value = compareOptions.metric;
+    const normalizeBtn = document.getElementById('compare-normalize');
+    normalizeBtn.classList.toggle('btn-primary', compareOptions.normalize);
+    normalizeBtn.classList.toggle('text-white', compareOptions.normalize);
+    normalizeBtn.classList.toggle('glass', !compareOptions.normalize);
+    normalizeBtn.classList.toggle('text-gray-300', !compareOptions.normalize);
+    
+    document.getElementById('compare-machines').innerHTML = machines.length ? machines.map(machine => {
+      const index = compareOptions.machineIds.indexOf(machine.id);
+      return `
+        <button onclick="toggleCompareMachine(${machine.id})" class="w-full flex items-center p-3 rounded-xl glass text-left ${index !== -1 ? 'ring-2 ring-purple-500' : ''}">
+          <span class="w-3 h-3 rounded-full mr-3 ${index !== -1 ? '' : 'bg-white/5'}" style="${index !== -1 ? `background: ${COMPARE_COLORS[index % COMPARE_COLORS.length]}` : ''}"></span>
+          <span class="flex-1">${machine.label}</span>
+          ${machine.muscleGroup ? `<span class="text-sm text-white/60">${machine.muscleGroup}</span>` : ''}
+        </button>
+      `;
+    }).join('') : '<p class="text-sm text-white/60 text-center py-4">Add strength machines to compare them</p>';
+    
+    await renderCompareChart(compareOptions.machineIds.map(id => machineMap.get(id)));
+  } catch (error) {
+    console.error('Failed to load comparison:', error);
+    showToast('Failed to load comparison', 'error');
+  }
+}
+
+async function renderCompareChart(machines) {
+  if (compareChart) {
+    compareChart.destroy();
+    compareChart = null;
+  }
+  
+  const summary = document.getElementById('compare-summary');
+  if (machines.length < 2) {
+    summary.textContent = 'Pick two or more machines below';
+    return;
+  }
+  
+  const [sets, sessions] = await Promise.all([
+    db.sets.where('machineId').anyOf(machines.map(machine => machine.id)).toArray(),
+    db.sessions.toArray()
+  ]);
+  const sessionMap = new Map(sessions.map(session => [session.id, session]));
+  const colors = THEME_COLORS[getActiveTheme()];
+  
+  const series = machines.map((machine, index) => {
+    const metric = getChartMetrics(machine)[compareOptions.metric];
+    let points = getChartPoints(groupChartDays(machine, sets.filter(set => set.machineId === machine.id), sessionMap), metric);
+    const start = points.length ? points[0].y : 0;
+    if (compareOptions.normalize) {
+      points = start > 0 ? points.map(point => ({ ...point, y: point.y / start * 100 })) : [];
+    }
+    return { machine, metric, points, start, color: COMPARE_COLORS[index % COMPARE_COLORS.length] };
+  });
+  
+  compareChart = new Chart(document.getElementById('compare-chart').getContext('2d'), {
+    type: 'line',
+    data: {
+      datasets: series.map(({ machine, points, color }) => ({
+        label: machine.label,
+        data: points,
+        borderColor: color,
+        backgroundColor: 'transparent',
+        tension: 0.25,
+        pointBackgroundColor: color,
+        pointRadius: 3
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          labels: {
+            color: colors.text,
+            usePointStyle: true
+          }
+        },
+        tooltip: {
+          callbacks: {
+            title: items => items.length ? formatChartDay(items[0].parsed.x, true) : '',
+            label: item => `${item.dataset.label}: ${item.parsed.y.toFixed(compareOptions.normalize ? 0 : 1)}${compareOptions.normalize ? '%' : ''}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          ticks: {
+            color: colors.muted,
+            maxTicksLimit: 6,
+            callback: value => formatChartDay(value)
+          },
+          grid: { color: colors.grid }
+        },
+        y: {
+          ticks: { color: colors.muted },
+          grid: { color: colors.grid },
+          title: {
+            display: true,
+            text: compareOptions.normalize ? '% of start' : series[0].metric.label,
+            color: colors.muted
+          }
+        }
+      },
+      interaction: {
+        mode: 'nearest',
+        intersect: false
+      },
+      animation: false
+    }
+  });
+  
+  // Change from the first logged day to the last, so variations can be ranked
+  summary.innerHTML = series.map(({ machine, points, start, color }) => {
+    if (!points.length) {
+      return `<div><span style="color: ${color}">●</span> ${machine.label}: no data</div>`;
+    }
+    const last = compareOptions.normalize ? points[points.length - 1].y * start / 100 : points[points.length - 1].y;
+    const change = start > 0 ? (last / start - 1) * 100 : 0;
+    return `
+      <div>
+        <span style="color: ${color}">●</span> ${machine.label}:
+        ${change >= 0 ? '+' : ''}${change.toFixed(1)}% since ${formatDate(points[0].date)}
+        (${roundTo(start, 1)} → ${roundTo(last, 1)} ${appSettings.unit})
+      </div>
+    `;
+  }).join('');
+}
+
+function toggleCompareMachine(machineId) {
+  const index = compareOptions.machineIds.indexOf(machineId);
+  if (index === -1) {
+    compareOptions.machineIds.push(machineId);
+  } else {
+    compareOptions.machineIds.splice(index, 1);
+  }
+  updateRoute(true);
+  loadCompare();
+}
+
+function setCompareMetric(metric) {
+  compareOptions.metric = metric;
+  loadCompare();
+}
+
+function toggleCompareNormalize() {
+  compareOptions.normalize = !compareOptions.normalize;
+  loadCompare();
+}
+
+async function loadMachineHistory() {
+  if (!currentMachine) return;
+  
+  try {
+    const sets = await db.sets.where('machineId').equals(currentMachine.id).reverse().toArray();
+    const sessions = await db.sessions.toArray();
+    const sessionMap = new Map(sessions.map(s => [s.id, s]));
+    
+    const historyContainer = document.getElementById('machine-history');
     
     if (sets.length === 0) {
       historyContainer.innerHTML = `
@@ -617,49 +1528,22 @@ async function loadMachineHistory() {
     });
     
     const sortedDates = Array.from(setsBySession.keys()).sort().reverse();
+    const groupPartners = await getGroupPartners(sets);
     
     historyContainer.innerHTML = `
       <div class="space-y-4">
         <h3 class="text-lg font-semibold">Workout History</h3>
         ${sortedDates.slice(0, 10).map(date => {
           const dateSets = setsBySession.get(date).sort((a, b) => a.order - b.order);
+          const groupId = dateSets.map(set => set.groupId).find(Boolean);
+          const partners = groupId ? groupPartners.get(groupId) || [] : [];
           return `
             <div class="glass rounded-xl p-4">
-              <h4 class="font-medium mb-3">${formatDate(date)}</h4>
+              <h4 class="font-medium ${partners.length ? 'mb-1' : 'mb-3'}">${formatDate(date)}</h4>
+              ${partners.length ? `<p class="text-sm text-purple-400 mb-3">${getGroupLabel(partners.length + 1)} with ${partners.join(', ')}</p>` : ''}
               <div class="space-y-2">
                 ${dateSets.map(set => {
-                  const weightDisplay = convertWeight(set.weightKg, appSettings.unit);
-                  const epley = set.weightKg * (1 + set.reps / 30);
-                  const brzycki = set.weightKg * 36 / (37 - set.reps);
-                  const e1rm = Math.max(epley, brzycki);
-                  const e1rmDisplay = convertWeight(e1rm, appSettings.unit);
-                  
-                  return `
-                    <div class="flex items-center justify-between p-3 bg-white/5 rounded-lg">
-                      <div class="flex-1">
-                        <div class="font-medium">
-                          ${weightDisplay.toFixed(1)} ${appSettings.unit} × ${set.reps}
-                          ${set.rpe ? ` @ RPE ${set.rpe}` : ''}
-                        </div>
-                         <div class="text-sm text-white/60">
-                          e1RM: ${e1rmDisplay.toFixed(1)} ${appSettings.unit}
-                        </div>
-                        ${set.notes ? `<div class="text-sm text-gray-300 mt-1">${set.notes}</div>` : ''}
-                      </div>
-                      <div class="flex space-x-2 ml-3">
-                        <button onclick="showEditSetModal(${set.id})" class="p-1 text-white/50 hover:text-white">
-                          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
-                          </svg>
-                        </button>
-                        <button onclick="confirmDeleteSet(${set.id})" class="p-1 text-red-400 hover:text-red-300">
-                          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
-                          </svg>
-                        </button>
-                      </div>
-                    </div>
-                  `;
+                  return renderSetRow(set, currentMachine);
                 }).join('')}
               </div>
             </div>
@@ -672,532 +1556,3754 @@ async function loadMachineHistory() {
   }
 }
 
-// Modal management
-function showAddMachineModal() {
-  editingMachine = null;
-  document.getElementById('machine-modal-title').textContent = 'Add Machine';
-  document.getElementById('machine-form').reset();
-  document.getElementById('photo-preview').classList.add('hidden');
-  document.getElementById('machine-modal').classList.remove('hidden');
-  document.body.classList.add('overflow-hidden');
+// Group uid -> labels of the other machines in it, for the groups these sets belong to
+async function getGroupPartners(sets) {
+  const groupIds = new Set(sets.map(set => set.groupId).filter(Boolean));
+  if (groupIds.size === 0) return new Map();
+  
+  const [groupSets, machines] = await Promise.all([
+    db.sets.filter(set => groupIds.has(set.groupId)).toArray(),
+    db.machines.toArray()
+  ]);
+  const machineMap = new Map(machines.map(m => [m.id, m]));
+  const ownMachineIds = new Set(sets.map(set => set.machineId));
+  const partners = new Map();
+  groupSets.forEach(set => {
+    if (ownMachineIds.has(set.machineId) || !machineMap.has(set.machineId)) return;
+    if (!partners.has(set.groupId)) {
+      partners.set(set.groupId, new Set());
+    }
+    partners.get(set.groupId).add(machineMap.get(set.machineId).label);
+  });
+  return new Map(Array.from(partners, ([groupId, labels]) => [groupId, Array.from(labels).sort()]));
 }
 
-function showEditMachineModal() {
-  if (!currentMachine) return;
-  
-  editingMachine = currentMachine;
-  document.getElementById('machine-modal-title').textContent = 'Edit Machine';
-  document.getElementById('machine-label').value = currentMachine.label;
-  document.getElementById('machine-muscle-group').value = currentMachine.muscleGroup || '';
+// Shared set row with edit/delete controls (machine history and session detail)
+function renderSetRow(set, machine) {
+  return `
+    <div class="flex items-center justify-between p-3 bg-white/5 rounded-lg">
+      <div class="flex-1">
+        ${isCardioMachine(machine) ? renderCardioSetSummary(set) : renderStrengthSetSummary(set, machine)}
+        ${set.notes ? `<div class="text-sm text-gray-300 mt-1">${set.notes}</div>` : ''}
+      </div>
+      <div class="flex space-x-2 ml-3">
+        <button onclick="showEditSetModal(${set.id})" class="p-1 text-white/50 hover:text-white">
+          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
+          </svg>
+        </button>
+        <button onclick="deleteSet(${set.id})" class="p-1 text-red-400 hover:text-red-300">
+          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+function renderStrengthSetSummary(set, machine) {
+  const e1rmDisplay = convertWeight(calculateE1RM(set, machine), appSettings.unit);
   
-  if (currentMachine.imageThumb) {
-    const preview = document.getElementById('photo-preview');
-    const img = document.getElementById('preview-img');
-    img.src = URL.createObjectURL(currentMachine.imageThumb);
-    preview.classList.remove('hidden');
-  } else {
-    document.getElementById('photo-preview').classList.add('hidden');
-  }
+  const setType = SET_TYPES[getSetType(set)];
   
-  document.getElementById('machine-modal').classList.remove('hidden');
-  document.body.classList.add('overflow-hidden');
+  return `
+        <div class="font-medium">
+          ${setType.badge ? `<span class="text-xs px-1.5 py-0.5 rounded bg-white/5 text-yellow-300 mr-1" title="${setType.label}">${setType.badge}</span>` : ''}
+          ${formatSetWeight(set, machine)} × ${set.reps}
+          ${set.rpe ? ` @ RPE ${set.rpe}` : ''}
+        </div>
+         <div class="text-sm text-white/60">
+          e1RM: ${e1rmDisplay.toFixed(1)} ${appSettings.unit}
+        </div>`;
 }
 
-function showAddSetModal() {
-  if (!currentMachine) return;
+function renderCardioSetSummary(set) {
+  const distanceUnit = getDistanceUnit();
+  const distance = set.distanceKm ? convertDistance(set.distanceKm, distanceUnit) : null;
+  const pace = calculatePace(set.durationSec, distance);
+  const speed = calculateSpeed(set.durationSec, distance);
+  const details = [
+    pace ? `${formatDuration(pace)} /${distanceUnit}` : null,
+    speed ? `${speed.toFixed(1)} ${distanceUnit}/h` : null,
+    set.level != null ? `Level ${set.level}` : null,
+    set.calories ? `${Math.round(set.calories)} kcal` : null
+  ].filter(Boolean);
   
-  editingSet = null;
-  document.getElementById('set-modal-title').textContent = 'Log Set';
-  document.getElementById('set-form').reset();
-  document.getElementById('set-date').value = new Date().toISOString().split('T')[0];
-  document.getElementById('set-modal').classList.remove('hidden');
-  document.body.classList.add('overflow-hidden');
-  // Ensure modal gets focus for better mobile keyboard behavior
-  setTimeout(() => {
-    const firstInput = document.getElementById('set-weight');
-    if (firstInput) { firstInput.focus(); }
-  }, 50);
+  return `
+        <div class="font-medium">
+          ${formatDuration(set.durationSec)}${distance ? ` · ${distance.toFixed(2)} ${distanceUnit}` : ''}
+          ${set.rpe ? ` @ RPE ${set.rpe}` : ''}
+        </div>
+        ${details.length ? `<div class="text-sm text-white/60">${details.join(' · ')}</div>` : ''}`;
 }
 
-async function showEditSetModal(setId) {
+// Session management
+async function loadSessions() {
   try {
-    const set = await db.sets.get(setId);
-    const session = await db.sessions.get(set.sessionId);
+    const [sessions, sets, machines] = await Promise.all([
+      db.sessions.orderBy('date').reverse().toArray(),
+      db.sets.toArray(),
+      db.machines.toArray()
+    ]);
+    const machineMap = new Map(machines.map(m => [m.id, m]));
+    const sessionsList = document.getElementById('sessions-list');
+    const emptyState = document.getElementById('empty-sessions');
     
-    if (!set || !session) return;
+    // Group sets by session
+    const setsBySession = new Map();
+    sets.forEach(set => {
+      if (!setsBySession.has(set.sessionId)) {
+        setsBySession.set(set.sessionId, []);
+      }
+      setsBySession.get(set.sessionId).push(set);
+    });
     
-    editingSet = set;
-    document.getElementById('set-modal-title').textContent = 'Edit Set';
-    document.getElementById('set-date').value = session.date;
-    document.getElementById('set-weight').value = convertWeight(set.weightKg, appSettings.unit).toFixed(1);
-    document.getElementById('set-reps').value = set.reps;
-    document.getElementById('set-rpe').value = set.rpe || '';
-    document.getElementById('set-notes').value = set.notes || '';
+    // Sessions whose sets were all deleted are not worth listing
+    const activeSessions = sessions.filter(session => setsBySession.has(session.id));
     
-    document.getElementById('set-modal').classList.remove('hidden');
-    document.body.classList.add('overflow-hidden');
-  setTimeout(() => {
-    const firstInput = document.getElementById('set-weight');
-    if (firstInput) { firstInput.focus(); }
-  }, 50);
+    if (activeSessions.length === 0) {
+      sessionsList.innerHTML = '';
+      emptyState.classList.remove('hidden');
+      return;
+    }
+    
+    emptyState.classList.add('hidden');
+    sessionsList.innerHTML = activeSessions.map(session => {
+      const totals = getSessionTotals(setsBySession.get(session.id), machineMap);
+      return `
+        <div class="glass rounded-xl p-4 cursor-pointer hover:bg-white/10 transition-colors" onclick="viewSession(${session.id})">
+          <div class="flex items-center justify-between">
+            <div class="flex-1 pr-3">
+              <h3 class="font-semibold">${formatDate(session.date)}</h3>
+              <p class="text-sm text-white/60">
+                ${totals.setCount} sets · ${totals.machineCount} machines · ${convertWeight(totals.volumeKg, appSettings.unit).toFixed(0)} ${appSettings.unit}
+              </p>
+              ${totals.muscleGroups.length ? `<p class="text-sm text-white/40">${totals.muscleGroups.join(', ')}</p>` : ''}
+            </div>
+            <svg class="w-5 h-5 text-white/50" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
+            </svg>
+          </div>
+        </div>
+      `;
+    }).join('');
   } catch (error) {
-    console.error('Failed to load set for editing:', error);
-    showToast('Failed to load set', 'error');
+    console.error('Failed to load sessions:', error);
+    showToast('Failed to load sessions', 'error');
   }
 }
 
-function closeModals() {
-  document.querySelectorAll('[id$="-modal"]').forEach(modal => {
-    modal.classList.add('hidden');
-  });
-  
-  // Clean up object URLs
-  document.querySelectorAll('img[src^="blob:"]').forEach(img => {
-    URL.revokeObjectURL(img.src);
+function getSessionTotals(sets, machineMap) {
+  const machineIds = new Set(sets.map(set => set.machineId));
+  const muscleGroups = new Set();
+  machineIds.forEach(id => {
+    const machine = machineMap.get(id);
+    if (machine && machine.muscleGroup) {
+      muscleGroups.add(machine.muscleGroup);
+    }
   });
   
-  // Restore background scroll
-  document.body.classList.remove('overflow-hidden');
+  return {
+    setCount: sets.length,
+    machineCount: machineIds.size,
+    volumeKg: sets.filter(isCountedSet).reduce((sum, set) => sum + getSetLoadKg(set, machineMap.get(set.machineId)) * set.reps, 0),
+    muscleGroups: Array.from(muscleGroups).sort()
+  };
 }
 
-// Form handlers
-async function handleMachineSubmit(e) {
-  e.preventDefault();
+async function viewSession(sessionId) {
+  try {
+    currentSession = await db.sessions.get(sessionId);
+    if (currentSession) {
+      showScreen('session-detail');
+    }
+  } catch (error) {
+    console.error('Failed to load session:', error);
+    showToast('Failed to load session', 'error');
+  }
+}
+
+async function loadSessionDetail() {
+  if (!currentSession) return;
   
   try {
-    const formData = new FormData(e.target);
-    const label = document.getElementById('machine-label').value.trim();
-    const muscleGroup = document.getElementById('machine-muscle-group').value.trim();
-    const photoFile = document.getElementById('machine-photo').files[0];
+    const [sets, machines] = await Promise.all([
+      db.sets.where('sessionId').equals(currentSession.id).toArray(),
+      db.machines.toArray()
+    ]);
+    const machineMap = new Map(machines.map(m => [m.id, m]));
+    const detailContainer = document.getElementById('session-detail');
     
-    if (!label) {
-      showToast('Machine name is required', 'error');
+    if (sets.length === 0) {
+      detailContainer.innerHTML = `
+        <div class="glass rounded-xl p-4 text-center">
+          <p class="text-white/60">No sets recorded for this day</p>
+        </div>
+      `;
       return;
     }
     
-    let imageFull = null;
-    let imageThumb = null;
+    // Group sets by machine
+    const setsByMachine = new Map();
+    sets.forEach(set => {
+      if (!setsByMachine.has(set.machineId)) {
+        setsByMachine.set(set.machineId, []);
+      }
+      setsByMachine.get(set.machineId).push(set);
+    });
     
-    if (photoFile) {
-      try {
-        const images = await processImage(photoFile);
-        imageFull = images.full;
-        imageThumb = images.thumb;
-      } catch (error) {
-        console.error('Image processing failed:', error);
-        showToast('Failed to process image', 'error');
+    const machineIds = Array.from(setsByMachine.keys()).sort((a, b) => {
+      const labelA = machineMap.has(a) ? machineMap.get(a).label : '';
+      const labelB = machineMap.has(b) ? machineMap.get(b).label : '';
+      return labelA.localeCompare(labelB);
+    });
+    const totals = getSessionTotals(sets, machineMap);
+    
+    // Grouped machines share one card, placed where the first of them sorts
+    const blocks = [];
+    const blocksByGroup = new Map();
+    machineIds.forEach(machineId => {
+      const groupId = setsByMachine.get(machineId).map(set => set.groupId).find(Boolean);
+      if (groupId && blocksByGroup.has(groupId)) {
+        blocksByGroup.get(groupId).machineIds.push(machineId);
         return;
       }
-    } else if (editingMachine) {
-      // Keep existing images
-      imageFull = editingMachine.imageFull;
-      imageThumb = editingMachine.imageThumb;
-    }
-    
-    const machineData = {
-      label,
-      muscleGroup: muscleGroup || null,
-      imageFull,
-      imageThumb,
-      updatedAt: new Date()
+      const block = { groupId: groupId || null, machineIds: [machineId] };
+      if (groupId) {
+        blocksByGroup.set(groupId, block);
+      }
+      blocks.push(block);
+    });
+    const renderMachineSets = machineId => {
+      const machine = machineMap.get(machineId);
+      const machineSets = setsByMachine.get(machineId).sort((a, b) => a.order - b.order);
+      return `
+              <div class="flex items-center justify-between mb-3 cursor-pointer" onclick="viewMachine(${machineId})">
+                <div>
+                  <h4 class="font-medium">${machine ? machine.label : 'Unknown machine'}</h4>
+                  ${machine && machine.muscleGroup ? `<p class="text-sm text-white/60">${machine.muscleGroup}</p>` : ''}
+                </div>
+                <svg class="w-5 h-5 text-white/50" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
+                </svg>
+              </div>
+              <div class="space-y-2">
+                ${machineSets.map(set => renderSetRow(set, machine)).join('')}
+              </div>`;
     };
     
-    if (editingMachine) {
-      await db.machines.update(editingMachine.id, machineData);
-      showToast('Machine updated successfully');
+    detailContainer.innerHTML = `
+      <div class="glass rounded-xl p-4 mb-6">
+        <h3 class="text-lg font-semibold mb-3">Summary</h3>
+        <div class="grid grid-cols-3 gap-4 text-center">
+          <div>
+            <div class="text-2xl font-bold text-purple-400">${totals.setCount}</div>
+            <div class="text-sm text-white/60">Sets</div>
+          </div>
+          <div>
+            <div class="text-2xl font-bold text-green-400">${convertWeight(totals.volumeKg, appSettings.unit).toFixed(0)}</div>
+            <div class="text-sm text-white/60">Volume (${appSettings.unit})</div>
+          </div>
+          <div>
+            <div class="text-2xl font-bold text-blue-400">${totals.muscleGroups.length}</div>
+            <div class="text-sm text-white/60">Muscle Groups</div>
+          </div>
+        </div>
+        ${totals.muscleGroups.length ? `<p class="text-sm text-white/60 mt-3 text-center">${totals.muscleGroups.join(', ')}</p>` : ''}
+      </div>
+      ${machineIds.length > 1 ? `
+        <button onclick="showGroupModal()" class="w-full p-3 rounded-lg glass text-gray-300 font-medium mb-4">Group into Superset / Circuit</button>
+      ` : ''}
+      <div class="space-y-4">
+        ${blocks.map(block => {
+          // A group whose other machines were removed is just a machine again
+          if (block.machineIds.length < 2) {
+            return `
+            <div class="glass rounded-xl p-4">${renderMachineSets(block.machineIds[0])}
+            </div>
+          `;
+          }
+          return `
+            <div class="glass rounded-xl p-4 border-l-4 border-purple-500">
+              <div class="flex items-center justify-between mb-3">
+                <span class="text-sm font-semibold text-purple-400">${getGroupLabel(block.machineIds.length)} · ${block.machineIds.length} machines</span>
+                <button onclick="ungroupSessionMachines('${block.groupId}')" class="text-sm text-white/60 hover:text-white">Ungroup</button>
+              </div>
+              <div class="space-y-4">
+                ${block.machineIds.map(machineId => `<div class="p-3 bg-white/5 rounded-lg">${renderMachineSets(machineId)}
+                </div>`).join('')}
+              </div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  } catch (error) {
+    console.error('Failed to load session detail:', error);
+    showToast('Failed to load session', 'error');
+  }
+}
+
+// Supersets and circuits - every set of a machine in the session carries the group's uid
+async function showGroupModal() {
+  if (!currentSession) return;
+  
+  try {
+    const [sets, machines] = await Promise.all([
+      db.sets.where('sessionId').equals(currentSession.id).toArray(),
+      db.machines.orderBy('label').toArray()
+    ]);
+    const machineIds = new Set(sets.map(set => set.machineId));
+    groupMachineOptions = machines.filter(machine => machineIds.has(machine.id));
+    groupSelection = [];
+    renderGroupOptions();
+    openModal('group-modal');
+  } catch (error) {
+    console.error('Failed to load session machines:', error);
+    showToast('Failed to load session', 'error');
+  }
+}
+
+function renderGroupOptions() {
+  document.getElementById('group-machines').innerHTML = groupMachineOptions.map(machine => {
+    const selected = groupSelection.includes(machine.id);
+    return `
+      <button type="button" onclick="toggleGroupMachine(${machine.id})" class="w-full flex items-center p-3 rounded-xl glass text-left ${selected ? 'ring-2 ring-purple-500' : ''}">
+        <span class="flex-1">${machine.label}</span>
+        ${machine.muscleGroup ? `<span class="text-sm text-white/60">${machine.muscleGroup}</span>` : ''}
+      </button>
+    `;
+  }).join('');
+  
+  const submit = document.getElementById('group-submit');
+  submit.disabled = groupSelection.length < 2;
+  submit.classList.toggle('opacity-50', submit.disabled);
+  submit.textContent = groupSelection.length < 2 ? 'Pick 2 or more' : `Make ${getGroupLabel(groupSelection.length)}`;
+}
+
+function toggleGroupMachine(machineId) {
+  const index = groupSelection.indexOf(machineId);
+  if (index === -1) {
+    groupSelection.push(machineId);
+  } else {
+    groupSelection.splice(index, 1);
+  }
+  renderGroupOptions();
+}
+
+async function saveSessionGroup() {
+  if (!currentSession || groupSelection.length < 2) return;
+  
+  try {
+    const sessionId = currentSession.id;
+    const label = getGroupLabel(groupSelection.length);
+    await db.transaction('rw', db.sets, async () => {
+      await db.sets
+        .where('sessionId').equals(sessionId)
+        .filter(set => groupSelection.includes(set.machineId))
+        .modify({ groupId: generateUid() });
       
-      // Update current machine if viewing
-      if (currentMachine && currentMachine.id === editingMachine.id) {
-        currentMachine = { ...currentMachine, ...machineData };
-        loadMachineDetail();
+      // Groups that just lost all but one machine are dissolved
+      const sets = await db.sets.where('sessionId').equals(sessionId).toArray();
+      const machinesByGroup = new Map();
+      sets.filter(set => set.groupId).forEach(set => {
+        if (!machinesByGroup.has(set.groupId)) {
+          machinesByGroup.set(set.groupId, new Set());
+        }
+        machinesByGroup.get(set.groupId).add(set.machineId);
+      });
+      const dissolved = Array.from(machinesByGroup.keys()).filter(groupId => machinesByGroup.get(groupId).size < 2);
+      if (dissolved.length) {
+        await db.sets
+          .where('sessionId').equals(sessionId)
+          .filter(set => dissolved.includes(set.groupId))
+          .modify({ groupId: null });
       }
-    } else {
-      machineData.createdAt = new Date();
-      await db.machines.add(machineData);
-      showToast('Machine added successfully');
-    }
+    });
     
+    showToast(`${label} created`);
     closeModals();
-    loadMachines();
+    loadSessionDetail();
   } catch (error) {
-    console.error('Failed to save machine:', error);
-    showToast('Failed to save machine', 'error');
+    console.error('Failed to group machines:', error);
+    showToast('Failed to group machines', 'error');
   }
 }
 
-async function handleSetSubmit(e) {
-  e.preventDefault();
+async function ungroupSessionMachines(groupId) {
+  if (!currentSession) return;
   
   try {
-    const date = document.getElementById('set-date').value;
-    const weight = parseFloat(document.getElementById('set-weight').value);
-    const reps = parseInt(document.getElementById('set-reps').value);
-    const rpe = document.getElementById('set-rpe').value ? parseFloat(document.getElementById('set-rpe').value) : null;
-    const notes = document.getElementById('set-notes').value.trim() || null;
-    
-    if (!date || !weight || !reps || weight <= 0 || reps <= 0) {
-      showToast('Please fill in all required fields with valid values', 'error');
+    await db.sets
+      .where('sessionId').equals(currentSession.id)
+      .filter(set => set.groupId === groupId)
+      .modify({ groupId: null });
+    showToast('Machines ungrouped');
+    loadSessionDetail();
+  } catch (error) {
+    console.error('Failed to ungroup machines:', error);
+    showToast('Failed to ungroup machines', 'error');
+  }
+}
+
+// Reload whichever screen shows set data after a change
+function refreshCurrentScreen() {
+  if (currentScreen === 'machine-detail') {
+    loadMachineDetail();
+  } else if (currentScreen === 'session-detail') {
+    loadSessionDetail();
+  } else if (currentScreen === 'sessions') {
+    loadSessions();
+  } else if (currentScreen === 'workout') {
+    loadWorkout();
+  } else if (currentScreen === 'dashboard') {
+    loadDashboard();
+  } else if (currentScreen === 'calendar') {
+    loadCalendar();
+  }
+}
+
+// Month calendar - each day shows its set count and muscle groups; an empty past day can be back-filled
+async function loadCalendar() {
+  try {
+    const today = toDateKey(new Date());
+    if (!calendarMonth) {
+      calendarMonth = today.slice(0, 7);
+    }
+    
+    const [year, month] = calendarMonth.split('-').map(Number);
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const firstDay = `${calendarMonth}-01`;
+    const lastDay = `${calendarMonth}-${daysInMonth.toString().padStart(2, '0')}`;
+    const [sessions, machines] = await Promise.all([
+      db.sessions.where('date').between(firstDay, lastDay, true, true).toArray(),
+      db.machines.toArray()
+    ]);
+    const sets = await db.sets.where('sessionId').anyOf(sessions.map(session => session.id)).toArray();
+    const machineMap = new Map(machines.map(machine => [machine.id, machine]));
+    const sessionByDate = new Map(sessions.map(session => [session.date, session]));
+    const setsBySession = new Map(sessions.map(session => [session.id, []]));
+    sets.forEach(set => setsBySession.get(set.sessionId).push(set));
+    
+    // Monday first, like the dashboard heatmap
+    const leadingBlanks = (new Date(year, month - 1, 1).getDay() + 6) % 7;
+    const cells = Array.from({ length: leadingBlanks }, () => '<div></div>');
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = `${calendarMonth}-${day.toString().padStart(2, '0')}`;
+      const session = sessionByDate.get(date);
+      const todayRing = date === today ? 'ring-2 ring-purple-500' : '';
+      
+      if (session) {
+        const totals = getSessionTotals(setsBySession.get(session.id), machineMap);
+        const groups = totals.muscleGroups.slice(0, 2).join(', ') + (totals.muscleGroups.length > 2 ? ` +${totals.muscleGroups.length - 2}` : '');
+        cells.push(`
+          <button onclick="viewSession(${session.id})" class="min-h-[4.5rem] p-1 rounded-lg glass text-left flex flex-col overflow-hidden ${todayRing}" aria-label="${formatDate(date)}: ${totals.setCount} sets">
+            <span class="text-xs font-semibold text-purple-400">${day}</span>
+            <span class="text-[10px] leading-tight">${totals.setCount} sets</span>
+            <span class="text-[10px] leading-tight text-white/60 break-words">${groups}</span>
+          </button>
+        `);
+      } else if (date <= today) {
+        cells.push(`
+          <button onclick="showBackfillModal('${date}')" class="min-h-[4.5rem] p-1 rounded-lg bg-white/5 text-left flex flex-col ${todayRing}" aria-label="Back-fill ${formatDate(date)}">
+            <span class="text-xs text-white/60">${day}</span>
+          </button>
+        `);
+      } else {
+        cells.push(`<div class="min-h-[4.5rem] p-1 text-xs text-white/40 opacity-50">${day}</div>`);
+      }
+    }
+    
+    const monthName = new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    document.getElementById('calendar-detail').innerHTML = `
+      <div class="glass rounded-xl p-4 mb-6">
+        <div class="flex items-center justify-between mb-3">
+          <button onclick="shiftCalendarMonth(-1)" class="p-2 rounded-lg glass text-gray-300" aria-label="Previous month">‹</button>
+          <h3 class="text-lg font-semibold">${monthName}</h3>
+          <button onclick="shiftCalendarMonth(1)" class="p-2 rounded-lg glass text-gray-300 disabled:opacity-30" aria-label="Next month" ${calendarMonth >= today.slice(0, 7) ? 'disabled' : ''}>›</button>
+        </div>
+        <div class="grid grid-cols-7 gap-1 text-center text-xs text-white/60 mb-1">
+          ${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(name => `<div>${name}</div>`).join('')}
+        </div>
+        <div class="grid grid-cols-7 gap-1">
+          ${cells.join('')}
+        </div>
+        <p class="text-sm text-white/60 text-center mt-3">${sessions.length} sessions · ${sets.length} sets · tap an empty day to back-fill it</p>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Failed to load calendar:', error);
+    showToast('Failed to load calendar', 'error');
+  }
+}
+
+function shiftCalendarMonth(months) {
+  const [year, month] = calendarMonth.split('-').map(Number);
+  calendarMonth = toDateKey(new Date(year, month - 1 + months, 1)).slice(0, 7);
+  loadCalendar();
+}
+
+// Back-fill a past day by walking through a routine or logging sets on one machine
+async function showBackfillModal(date) {
+  try {
+    const [routines, machines] = await Promise.all([
+      db.routines.toArray(),
+      db.machines.orderBy('label').toArray()
+    ]);
+    routines.sort((a, b) => a.name.localeCompare(b.name));
+    
+    document.getElementById('backfill-title').textContent = `Back-fill ${formatDate(date)}`;
+    document.getElementById('backfill-options').innerHTML = `
+      ${routines.length ? `
+        <div>
+          <h4 class="text-sm font-medium text-gray-300 mb-2">Follow a routine</h4>
+          <div class="space-y-2">
+            ${routines.map(routine => `
+              <button type="button" onclick="backfillRoutine(${routine.id}, '${date}')" class="w-full p-3 rounded-lg glass text-left">${routine.name}</button>
+            `).join('')}
+          </div>
+        </div>
+      ` : ''}
+      <div>
+        <h4 class="text-sm font-medium text-gray-300 mb-2">Log sets on one machine</h4>
+        ${machines.length ? `
+          <div class="space-y-2 max-h-64 overflow-y-auto">
+            ${machines.map(machine => `
+              <button type="button" onclick="backfillMachine(${machine.id}, '${date}')" class="w-full p-3 rounded-lg glass text-left">
+                ${machine.label}
+                ${machine.muscleGroup ? `<span class="text-sm text-white/60"> · ${machine.muscleGroup}</span>` : ''}
+              </button>
+            `).join('')}
+          </div>
+        ` : '<p class="text-sm text-white/60">Add a machine first</p>'}
+      </div>
+    `;
+    
+    openModal('backfill-modal');
+  } catch (error) {
+    console.error('Failed to open back-fill:', error);
+    showToast('Failed to open back-fill', 'error');
+  }
+}
+
+function backfillRoutine(routineId, date) {
+  closeModals();
+  if (activeWorkout && (activeWorkout.routineId !== routineId || activeWorkout.date !== date)) {
+    showConfirm('A workout is in progress. Replace it with this back-fill?', () => startWorkout(routineId, date));
+    return;
+  }
+  startWorkout(routineId, date);
+}
+
+async function backfillMachine(machineId, date) {
+  try {
+    closeModals();
+    currentMachine = await db.machines.get(machineId);
+    showAddSetModal({ date, hint: `Back-filling ${formatDate(date)}` });
+  } catch (error) {
+    console.error('Failed to open back-fill:', error);
+    showToast('Failed to open back-fill', 'error');
+  }
+}
+
+// Training dashboard - weekly hard sets and volume per muscle group, training days, streaks and a session heatmap
+async function loadDashboard() {
+  try {
+    const [sets, sessions, machines] = await Promise.all([
+      db.sets.toArray(),
+      db.sessions.toArray(),
+      db.machines.toArray()
+    ]);
+    const sessionMap = new Map(sessions.map(session => [session.id, session]));
+    const machineMap = new Map(machines.map(machine => [machine.id, machine]));
+    const container = document.getElementById('dashboard-detail');
+    const emptyState = document.getElementById('empty-dashboard');
+    
+    if (dashboardChart) {
+      dashboardChart.destroy();
+      dashboardChart = null;
+    }
+    
+    const datedSets = sets.filter(set => sessionMap.has(set.sessionId));
+    if (datedSets.length === 0) {
+      container.innerHTML = '';
+      emptyState.classList.remove('hidden');
       return;
     }
+    emptyState.classList.add('hidden');
     
-    if (rpe && (rpe < 1 || rpe > 10)) {
-      showToast('RPE must be between 1 and 10', 'error');
+    const today = toDateKey(new Date());
+    const thisWeek = getWeekStart(today);
+    if (!dashboardWeek || dashboardWeek > thisWeek) {
+      dashboardWeek = thisWeek;
+    }
+    
+    const strengthEntries = datedSets
+      .filter(set => machineMap.has(set.machineId) && !isCardioMachine(machineMap.get(set.machineId)) && isCountedSet(set))
+      .map(set => {
+        const machine = machineMap.get(set.machineId);
+        return {
+          date: sessionMap.get(set.sessionId).date,
+          machineId: set.machineId,
+          muscleGroup: machine.muscleGroup || 'Other',
+          volume: getSetLoadKg(set, machine) * (set.reps || 0),
+          rpe: set.rpe,
+          setType: set.setType
+        };
+      });
+    const setsByDate = new Map();
+    datedSets.forEach(set => {
+      const date = sessionMap.get(set.sessionId).date;
+      setsByDate.set(date, (setsByDate.get(date) || 0) + 1);
+    });
+    const trainingDates = Array.from(setsByDate.keys());
+    const weeklyMuscles = computeWeeklyMuscleStats(strengthEntries);
+    const trainingDays = computeTrainingDays(trainingDates);
+    const streaks = computeWeekStreaks(trainingDates, today);
+    const thisWeekGroups = weeklyMuscles.get(thisWeek) || new Map();
+    const thisWeekHardSets = Array.from(thisWeekGroups.values()).reduce((sum, stats) => sum + stats.hardSets, 0);
+    
+    container.innerHTML = `
+      <div class="glass rounded-xl p-4 mb-6">
+        <h3 class="text-lg font-semibold mb-3">This Week</h3>
+        <div class="grid grid-cols-2 gap-4 text-center">
+          <div>
+            <div class="text-2xl font-bold text-purple-400">${trainingDays.get(thisWeek) || 0}</div>
+            <div class="text-sm text-white/60">Training days</div>
+          </div>
+          <div>
+            <div class="text-2xl font-bold text-green-400">${thisWeekHardSets}</div>
+            <div class="text-sm text-white/60">Hard sets</div>
+          </div>
+          <div>
+            <div class="text-2xl font-bold text-blue-400">${streaks.current}</div>
+            <div class="text-sm text-white/60">Week streak</div>
+          </div>
+          <div>
+            <div class="text-2xl font-bold text-yellow-300">${streaks.longest}</div>
+            <div class="text-sm text-white/60">Longest streak</div>
+          </div>
+        </div>
+      </div>
+      ${renderDashboardWeek(weeklyMuscles.get(dashboardWeek) || new Map(), sessions, machineMap, thisWeek)}
+      <div class="glass rounded-xl p-4 mb-6">
+        <h3 class="text-lg font-semibold mb-1">Training Days per Week</h3>
+        <p class="text-sm text-white/60 mb-3">Tap a week to see its muscle groups and sessions</p>
+        <div class="h-48">
+          <canvas id="dashboard-chart"></canvas>
+        </div>
+      </div>
+      ${renderSessionHeatmap(setsByDate, sessions, today)}
+      <button onclick="showCompare()" class="w-full p-3 rounded-lg glass text-gray-300 font-medium">Compare Machines</button>
+    `;
+    renderTrainingDaysChart(trainingDays, thisWeek);
+  } catch (error) {
+    console.error('Failed to load dashboard:', error);
+    showToast('Failed to load dashboard', 'error');
+  }
+}
+
+// Hard sets and volume per muscle group for the selected week; a row expands to its machines
+function renderDashboardWeek(groups, sessions, machineMap, thisWeek) {
+  const weekEnd = addDays(dashboardWeek, 6);
+  const weekSessions = sessions
+    .filter(session => session.date >= dashboardWeek && session.date <= weekEnd)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const rows = Array.from(groups.entries()).sort((a, b) => b[1].hardSets - a[1].hardSets || b[1].volume - a[1].volume);
+  const maxHardSets = Math.max(1, ...rows.map(([, stats]) => stats.hardSets));
+  
+  return `
+    <div class="glass rounded-xl p-4 mb-6">
+      <div class="flex items-center justify-between mb-3">
+        <button onclick="shiftDashboardWeek(-1)" class="p-2 rounded-lg glass text-gray-300" aria-label="Previous week">‹</button>
+        <h3 class="text-lg font-semibold">Week of ${formatDate(dashboardWeek)}</h3>
+        <button onclick="shiftDashboardWeek(1)" class="p-2 rounded-lg glass text-gray-300 disabled:opacity-30" aria-label="Next week" ${dashboardWeek >= thisWeek ? 'disabled' : ''}>›</button>
+      </div>
+      ${rows.length ? rows.map(([group, stats]) => `
+        <div class="mb-3">
+          <button onclick="this.nextElementSibling.classList.toggle('hidden')" class="w-full text-left">
+            <div class="flex items-center justify-between text-sm mb-1">
+              <span class="font-medium">${group}</span>
+              <span class="text-white/60">${stats.hardSets} hard sets · ${convertWeight(stats.volume, appSettings.unit).toFixed(0)} ${appSettings.unit}</span>
+            </div>
+            <div class="h-2 rounded-full bg-white/5">
+              <div class="h-2 rounded-full bg-purple-500" style="width: ${stats.hardSets / maxHardSets * 100}%"></div>
+            </div>
+          </button>
+          <div class="hidden mt-2 space-y-1">
+            ${Array.from(stats.machines.entries()).sort((a, b) => b[1] - a[1]).map(([machineId, count]) => `
+              <button onclick="viewMachine(${machineId})" class="w-full flex items-center justify-between text-sm p-2 rounded-lg hover:bg-white/10">
+                <span>${machineMap.has(machineId) ? machineMap.get(machineId).label : 'Unknown machine'}</span>
+                <span class="text-white/60">${count} sets</span>
+              </button>
+            `).join('')}
+          </div>
+        </div>
+      `).join('') : '<p class="text-sm text-white/60 text-center py-2">No strength sets this week</p>'}
+      ${weekSessions.length ? `
+        <div class="flex flex-wrap gap-2 mt-3 pt-3 border-t border-white/10">
+          ${weekSessions.map(session => `
+            <button onclick="viewSession(${session.id})" class="px-3 py-1 rounded-lg glass text-sm text-gray-300">${formatDate(session.date)}</button>
+          `).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function shiftDashboardWeek(weeks) {
+  dashboardWeek = addDays(dashboardWeek, weeks * 7);
+  loadDashboard();
+}
+
+function renderTrainingDaysChart(trainingDays, thisWeek) {
+  const canvas = document.getElementById('dashboard-chart');
+  if (!canvas) return;
+  
+  const weeks = Array.from({ length: DASHBOARD_CHART_WEEKS }, (_, index) =>
+    addDays(thisWeek, -7 * (DASHBOARD_CHART_WEEKS - 1 - index)));
+  const colors = THEME_COLORS[getActiveTheme()];
+  
+  dashboardChart = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: weeks.map(week => new Date(`${week}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })),
+      datasets: [{
+        label: 'Training days',
+        data: weeks.map(week => trainingDays.get(week) || 0),
+        backgroundColor: weeks.map(week => week === dashboardWeek ? '#a855f7' : 'rgba(168, 85, 247, 0.4)'),
+        borderRadius: 4
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false }
+      },
+      scales: {
+        x: {
+          ticks: { color: colors.muted },
+          grid: { display: false }
+        },
+        y: {
+          beginAtZero: true,
+          suggestedMax: 4,
+          ticks: { color: colors.muted, precision: 0 },
+          grid: { color: colors.grid }
+        }
+      },
+      onClick: (event, elements) => {
+        if (elements.length) {
+          dashboardWeek = weeks[elements[0].index];
+          loadDashboard();
+        }
+      },
+      animation: false
+    }
+  });
+}
+
+// GitHub-style grid: a column per week, shaded by the number of sets; a day with a session opens it
+function renderSessionHeatmap(setsByDate, sessions, today) {
+  const sessionByDate = new Map(sessions.map(session => [session.date, session]));
+  const weeks = buildHeatmapWeeks(today);
+  const maxSets = Math.max(1, ...setsByDate.values());
+  const shades = [0.3, 0.5, 0.75, 1];
+  
+  const cell = date => {
+    if (!date) return '<div></div>';
+    const count = setsByDate.get(date) || 0;
+    const session = sessionByDate.get(date);
+    if (!count || !session) {
+      return `<div class="aspect-square rounded-sm bg-white/5" title="${formatDate(date)}"></div>`;
+    }
+    const shade = shades[Math.min(shades.length, Math.ceil(count / maxSets * shades.length)) - 1];
+    return `<button onclick="viewSession(${session.id})" class="aspect-square rounded-sm" style="background: rgba(168, 85, 247, ${shade})" title="${formatDate(date)}: ${count} sets" aria-label="${formatDate(date)}: ${count} sets"></button>`;
+  };
+  
+  return `
+    <div class="glass rounded-xl p-4 mb-6">
+      <h3 class="text-lg font-semibold mb-3">Sessions</h3>
+      <div class="grid grid-flow-col gap-0.5" style="grid-template-rows: repeat(7, auto); grid-template-columns: repeat(${weeks.length}, minmax(0, 1fr))">
+        ${weeks.map(week => week.map(cell).join('')).join('')}
+      </div>
+      <div class="flex items-center justify-between text-xs text-white/60 mt-2">
+        <span>Last ${weeks.length} weeks</span>
+        <span class="flex items-center gap-1">
+          Less
+          ${[0, ...shades].map(shade => `<span class="w-3 h-3 rounded-sm ${shade ? '' : 'bg-white/5'}" style="${shade ? `background: rgba(168, 85, 247, ${shade})` : ''}"></span>`).join('')}
+          More
+        </span>
+      </div>
+    </div>
+  `;
+}
+
+// Routine management
+async function loadRoutines() {
+  try {
+    const [routines, machines] = await Promise.all([
+      db.routines.orderBy('name').toArray(),
+      db.machines.toArray()
+    ]);
+    const machineMap = new Map(machines.map(m => [m.id, m]));
+    const routinesList = document.getElementById('routines-list');
+    const emptyState = document.getElementById('empty-routines');
+    
+    if (routines.length === 0) {
+      routinesList.innerHTML = '';
+      emptyState.classList.remove('hidden');
       return;
     }
     
-    // Convert weight to kg for storage
-    const weightKg = convertWeight(weight, appSettings.unit, true);
+    emptyState.classList.add('hidden');
+    routinesList.innerHTML = routines.map(routine => {
+      const isActive = activeWorkout && activeWorkout.routineId === routine.id;
+      const machineLabels = routine.items
+        .map(item => machineMap.has(item.machineId) ? machineMap.get(item.machineId).label : null)
+        .filter(Boolean);
+      return `
+        <div class="glass rounded-xl p-4">
+          <div class="flex items-start justify-between">
+            <div class="flex-1 pr-3">
+              <h3 class="font-semibold">${routine.name}</h3>
+              <p class="text-sm text-white/60">${machineLabels.length} machines</p>
+              ${machineLabels.length ? `<p class="text-sm text-white/40">${machineLabels.join(' → ')}</p>` : ''}
+            </div>
+            <div class="flex space-x-2 ml-3">
+              <button onclick="showEditRoutineModal(${routine.id})" class="p-2 glass rounded-lg border border-white/10">
+                <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
+                </svg>
+              </button>
+              <button onclick="confirmDeleteRoutine(${routine.id})" class="p-2 bg-red-600 rounded-lg border border-white/10">
+                <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                </svg>
+              </button>
+            </div>
+          </div>
+          <button onclick="startWorkout(${routine.id})" class="w-full mt-3 p-3 rounded-lg ${isActive ? 'glass text-gray-300' : 'btn-primary text-white'} font-medium">
+            ${isActive ? 'Resume Workout' : 'Start Workout'}
+          </button>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load routines:', error);
+    showToast('Failed to load routines', 'error');
+  }
+}
+
+async function showAddRoutineModal() {
+  editingRoutine = null;
+  routineItems = [];
+  document.getElementById('routine-modal-title').textContent = 'New Routine';
+  document.getElementById('routine-form').reset();
+  await openRoutineModal();
+}
+
+async function showEditRoutineModal(routineId) {
+  try {
+    const routine = await db.routines.get(routineId);
+    if (!routine) return;
+    
+    editingRoutine = routine;
+    routineItems = routine.items.map(item => ({ ...item }));
+    document.getElementById('routine-modal-title').textContent = 'Edit Routine';
+    document.getElementById('routine-name').value = routine.name;
+    await openRoutineModal();
+  } catch (error) {
+    console.error('Failed to load routine for editing:', error);
+    showToast('Failed to load routine', 'error');
+  }
+}
+
+async function openRoutineModal() {
+  routineMachineOptions = await db.machines.orderBy('label').toArray();
+  if (routineMachineOptions.length === 0) {
+    showToast('Add a machine before creating a routine', 'error');
+    return;
+  }
+  
+  renderRoutineItems();
+  openModal('routine-modal');
+}
+
+function renderRoutineItems() {
+  const container = document.getElementById('routine-items');
+  
+  if (routineItems.length === 0) {
+    container.innerHTML = '<p class="text-sm text-white/60">No machines added yet</p>';
+    return;
+  }
+  
+  container.innerHTML = routineItems.map((item, index) => `
+    <div class="p-3 bg-white/5 rounded-lg space-y-2">
+      <div class="flex items-center space-x-2">
+        <span class="text-sm text-white/60 w-5">${index + 1}.</span>
+        <select onchange="updateRoutineItem(${index}, 'machineId', this.value)" class="flex-1 p-2 rounded-lg glass text-white border-0 bg-transparent">
+          ${routineMachineOptions.map(machine => `
+            <option value="${machine.id}" class="text-black" ${machine.id === item.machineId ? 'selected' : ''}>${machine.label}</option>
+          `).join('')}
+        </select>
+        <button type="button" onclick="moveRoutineItem(${index}, -1)" class="p-1 text-white/50 hover:text-white" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button type="button" onclick="moveRoutineItem(${index}, 1)" class="p-1 text-white/50 hover:text-white" ${index === routineItems.length - 1 ? 'disabled' : ''}>↓</button>
+        <button type="button" onclick="removeRoutineItem(${index})" class="p-1 text-red-400 hover:text-red-300">✕</button>
+      </div>
+      <div class="flex items-center space-x-2 pl-7">
+        <input type="number" min="1" max="20" value="${item.targetSets}" onchange="updateRoutineItem(${index}, 'targetSets', this.value)" class="w-20 p-2 rounded-lg glass text-white border-0">
+        <span class="text-sm text-white/60">sets ×</span>
+        <input type="number" min="1" max="100" value="${item.targetReps}" onchange="updateRoutineItem(${index}, 'targetReps', this.value)" class="w-20 p-2 rounded-lg glass text-white border-0">
+        <span class="text-sm text-white/60">reps</span>
+      </div>
+    </div>
+  `).join('');
+}
+
+function addRoutineItem() {
+  // Default to the first machine not yet in the routine
+  const used = new Set(routineItems.map(item => item.machineId));
+  const machine = routineMachineOptions.find(m => !used.has(m.id)) || routineMachineOptions[0];
+  routineItems.push({ machineId: machine.id, targetSets: 3, targetReps: 10 });
+  renderRoutineItems();
+}
+
+function updateRoutineItem(index, field, value) {
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || parsed <= 0) {
+    renderRoutineItems();
+    return;
+  }
+  routineItems[index][field] = parsed;
+}
+
+function moveRoutineItem(index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= routineItems.length) return;
+  
+  [routineItems[index], routineItems[target]] = [routineItems[target], routineItems[index]];
+  renderRoutineItems();
+}
+
+function removeRoutineItem(index) {
+  routineItems.splice(index, 1);
+  renderRoutineItems();
+}
+
+async function handleRoutineSubmit(e) {
+  e.preventDefault();
+  
+  try {
+    const name = document.getElementById('routine-name').value.trim();
     
-    // Find or create session
-    let session = await db.sessions.where('date').equals(date).first();
-    if (!session) {
-      session = await db.sessions.add({ date });
-      session = { id: session, date };
+    if (!name) {
+      showToast('Routine name is required', 'error');
+      return;
     }
     
-    if (editingSet) {
-      // Update existing set
-      await db.sets.update(editingSet.id, {
-        weightKg,
-        reps,
-        rpe,
-        notes
-      });
-      showToast('Set updated successfully');
+    if (routineItems.length === 0) {
+      showToast('Add at least one machine', 'error');
+      return;
+    }
+    
+    const routineData = {
+      name,
+      items: routineItems.map(item => ({ ...item })),
+      updatedAt: new Date()
+    };
+    
+    if (editingRoutine) {
+      await db.routines.update(editingRoutine.id, routineData);
+      showToast('Routine updated successfully');
     } else {
-      // Calculate order for new set (no compound index)
-      const existingSets = await db.sets
-        .where('sessionId')
-        .equals(session.id)
-        .and(s => s.machineId === currentMachine.id)
-        .toArray();
-      const order = existingSets.length + 1;
-      
-      // Add new set
-      await db.sets.add({
-        sessionId: session.id,
-        machineId: currentMachine.id,
-        order,
-        weightKg,
-        reps,
-        rpe,
-        notes
-      });
-      showToast('Set logged successfully');
+      routineData.createdAt = new Date();
+      await db.routines.add(routineData);
+      showToast('Routine added successfully');
     }
     
     closeModals();
-    if (currentScreen === 'machine-detail') {
-      loadMachineDetail();
+    if (currentScreen === 'routines') {
+      loadRoutines();
+    } else {
+      refreshCurrentScreen();
     }
   } catch (error) {
-    console.error('Failed to save set:', error);
-    showToast('Failed to save set', 'error');
+    console.error('Failed to save routine:', error);
+    showToast('Failed to save routine', 'error');
   }
 }
 
-// Image processing
-async function processImage(file) {
-  return new Promise((resolve, reject) => {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-    
-    img.onload = () => {
+function confirmDeleteRoutine(routineId) {
+  showConfirm(
+    'Are you sure you want to delete this routine? Logged sets are kept.',
+    async () => {
       try {
-        // Calculate dimensions for full image (max 1280px)
-        let { width: fullWidth, height: fullHeight } = img;
-        const maxFull = 1280;
-        
-        if (fullWidth > maxFull || fullHeight > maxFull) {
-          const ratio = Math.min(maxFull / fullWidth, maxFull / fullHeight);
-          fullWidth = Math.round(fullWidth * ratio);
-          fullHeight = Math.round(fullHeight * ratio);
+        await db.routines.delete(routineId);
+        if (activeWorkout && activeWorkout.routineId === routineId) {
+          await setActiveWorkout(null);
         }
-        
-        // Create full image
-        canvas.width = fullWidth;
-        canvas.height = fullHeight;
-        ctx.drawImage(img, 0, 0, fullWidth, fullHeight);
-        
-        canvas.toBlob(async (fullBlob) => {
-          // Create thumbnail (96px)
-          const thumbSize = 96;
-          const ratio = Math.min(thumbSize / img.width, thumbSize / img.height);
-          const thumbWidth = Math.round(img.width * ratio);
-          const thumbHeight = Math.round(img.height * ratio);
-          
-          canvas.width = thumbWidth;
-          canvas.height = thumbHeight;
-          ctx.clearRect(0, 0, thumbWidth, thumbHeight);
-          ctx.drawImage(img, 0, 0, thumbWidth, thumbHeight);
-          
-          canvas.toBlob((thumbBlob) => {
-            resolve({
-              full: fullBlob,
-              thumb: thumbBlob
-            });
-          }, 'image/webp', 0.85);
-        }, 'image/webp', 0.9);
+        showToast('Routine deleted successfully');
+        loadRoutines();
       } catch (error) {
-        reject(error);
+        console.error('Failed to delete routine:', error);
+        showToast('Failed to delete routine', 'error');
       }
-    };
+    }
+  );
+}
+
+// Guided workout
+async function setActiveWorkout(workout) {
+  activeWorkout = workout;
+  appSettings.activeWorkout = workout;
+  await db.settings.update('app', { activeWorkout: workout });
+}
+
+// date: log the workout on an earlier day (back-filling from the calendar)
+async function startWorkout(routineId, date = null) {
+  try {
+    if (!activeWorkout || activeWorkout.routineId !== routineId || (date && activeWorkout.date !== date)) {
+      await setActiveWorkout({
+        routineId,
+        date: date || toDateKey(new Date())
+      });
+    }
+    showScreen('workout');
+  } catch (error) {
+    console.error('Failed to start workout:', error);
+    showToast('Failed to start workout', 'error');
+  }
+}
+
+function finishWorkout() {
+  showConfirm(
+    'Finish this workout?',
+    async () => {
+      try {
+        await setActiveWorkout(null);
+        showToast('Workout finished');
+        showScreen('routines');
+      } catch (error) {
+        console.error('Failed to finish workout:', error);
+        showToast('Failed to finish workout', 'error');
+      }
+    }
+  );
+}
+
+// Routine items with the number of sets already logged on the workout date
+async function getWorkoutProgress() {
+  if (!activeWorkout) return null;
+  
+  const routine = await db.routines.get(activeWorkout.routineId);
+  if (!routine) return null;
+  
+  const session = await db.sessions.where('date').equals(activeWorkout.date).first();
+  const sessionSets = session ? await db.sets.where('sessionId').equals(session.id).toArray() : [];
+  const machines = await db.machines.bulkGet(routine.items.map(item => item.machineId));
+  
+  const items = routine.items.map((item, index) => {
+    const setsDone = sessionSets.filter(set => set.machineId === item.machineId).length;
+    return {
+      ...item,
+      machine: machines[index],
+      setsDone,
+      done: setsDone >= item.targetSets
+    };
+  }).filter(item => item.machine);
+  
+  return {
+    routine,
+    items,
+    next: items.find(item => !item.done) || null
+  };
+}
+
+async function loadWorkout() {
+  try {
+    const progress = await getWorkoutProgress();
+    const container = document.getElementById('workout-detail');
+    
+    if (!progress) {
+      container.innerHTML = `
+        <div class="glass rounded-xl p-4 text-center">
+          <p class="text-white/60">No workout in progress</p>
+          <button onclick="showScreen('routines')" class="mt-3 px-4 py-2 btn-primary rounded-lg">
+            Choose a Routine
+          </button>
+        </div>
+      `;
+      return;
+    }
+    
+    document.getElementById('page-title').textContent = progress.routine.name;
+    const doneCount = progress.items.filter(item => item.done).length;
+    
+    container.innerHTML = `
+      <div class="glass rounded-xl p-4 mb-6">
+        <div class="flex items-center justify-between">
+          <div>
+            <h3 class="text-lg font-semibold">${formatDate(activeWorkout.date)}</h3>
+            <p class="text-sm text-white/60">${doneCount} of ${progress.items.length} machines done</p>
+          </div>
+          <button onclick="finishWorkout()" class="px-4 py-2 rounded-lg glass text-gray-300 font-medium">Finish</button>
+        </div>
+      </div>
+      <div class="space-y-3">
+        ${progress.items.map((item, index) => {
+          const isNext = progress.next === item;
+          return `
+            <div class="glass rounded-xl p-4 cursor-pointer hover:bg-white/10 transition-colors ${isNext ? 'ring-2 ring-purple-500' : ''} ${item.done ? 'opacity-60' : ''}" onclick="logWorkoutSet(${index})">
+              <div class="flex items-center justify-between">
+                <div class="flex-1 pr-3">
+                  <h4 class="font-medium">${index + 1}. ${item.machine.label}</h4>
+                  <p class="text-sm text-white/60">${item.targetSets} × ${item.targetReps} · ${Math.min(item.setsDone, item.targetSets)}/${item.targetSets} sets</p>
+                </div>
+                ${item.done ?
+                  `<span class="text-green-400 font-semibold">Done</span>` :
+                  isNext ? `<span class="text-purple-400 font-semibold">Next</span>` : ''}
+              </div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  } catch (error) {
+    console.error('Failed to load workout:', error);
+    showToast('Failed to load workout', 'error');
+  }
+}
+
+async function logWorkoutSet(index) {
+  try {
+    const progress = await getWorkoutProgress();
+    if (!progress || !progress.items[index]) return;
+    
+    const item = progress.items[index];
+    currentMachine = item.machine;
+    showAddSetModal({
+      date: activeWorkout.date,
+      reps: item.targetReps,
+      hint: `${item.machine.label} · set ${item.setsDone + 1} of ${item.targetSets} × ${item.targetReps}`
+    });
+  } catch (error) {
+    console.error('Failed to open workout set:', error);
+    showToast('Failed to open set', 'error');
+  }
+}
+
+async function logNextWorkoutSet() {
+  const progress = await getWorkoutProgress();
+  if (!progress) return;
+  
+  if (!progress.next) {
+    showToast('All machines done - finish the workout when ready');
+    return;
+  }
+  logWorkoutSet(progress.items.indexOf(progress.next));
+}
+
+// Modal management
+function openModal(id) {
+  document.getElementById(id).classList.remove('hidden');
+  document.body.classList.add('overflow-hidden');
+  
+  // One history entry however many modals open in a row, so Back closes them
+  whenHistorySettled(() => {
+    if (!history.state || !history.state.modal) {
+      history.pushState({ depth: (history.state ? history.state.depth : 0) + 1, modal: true }, '', location.href);
+    }
+  });
+}
+
+function showAddMachineModal() {
+  editingMachine = null;
+  document.getElementById('machine-modal-title').textContent = 'Add Machine';
+  document.getElementById('machine-form').reset();
+  document.getElementById('machine-load-type').value = DEFAULT_LOAD_TYPE;
+  updateMachineTypeFields();
+  setupFields = [];
+  renderSetupFields();
+  document.getElementById('photo-preview').classList.add('hidden');
+  openModal('machine-modal');
+}
+
+// Load type only applies to strength machines
+function updateMachineTypeFields() {
+  const isCardio = document.getElementById('machine-exercise-type').value === 'cardio';
+  document.getElementById('machine-load-type-field').classList.toggle('hidden', isCardio);
+}
+
+function showEditMachineModal() {
+  if (!currentMachine) return;
+  
+  editingMachine = currentMachine;
+  document.getElementById('machine-modal-title').textContent = 'Edit Machine';
+  document.getElementById('machine-label').value = currentMachine.label;
+  document.getElementById('machine-muscle-group').value = currentMachine.muscleGroup || '';
+  document.getElementById('machine-rest').value = currentMachine.restSeconds != null ? currentMachine.restSeconds : '';
+  document.getElementById('machine-load-type').value = getLoadType(currentMachine);
+  document.getElementById('machine-exercise-type').value = isCardioMachine(currentMachine) ? 'cardio' : 'strength';
+  updateMachineTypeFields();
+  setupFields = (currentMachine.setup || []).map(field => ({ ...field }));
+  renderSetupFields();
+  
+  if (currentMachine.imageThumb) {
+    const preview = document.getElementById('photo-preview');
+    const img = document.getElementById('preview-img');
+    img.src = URL.createObjectURL(currentMachine.imageThumb);
+    preview.classList.remove('hidden');
+  } else {
+    document.getElementById('photo-preview').classList.add('hidden');
+  }
+  
+  openModal('machine-modal');
+}
+
+function showAddSetModal(prefill = null) {
+  if (!currentMachine) return;
+  
+  editingSet = null;
+  document.getElementById('set-modal-title').textContent = 'Log Set';
+  document.getElementById('set-form').reset();
+  document.getElementById('set-date').value = (prefill && prefill.date) || new Date().toISOString().split('T')[0];
+  setModalHint(prefill && prefill.hint);
+  setModalSuggestion(null);
+  configureSetModalForMachine(currentMachine);
+  if (prefill && prefill.reps) {
+    document.getElementById('set-reps').value = prefill.reps;
+  }
+  applySetSuggestion(prefill && prefill.reps);
+  openModal('set-modal');
+  // Ensure modal gets focus for better mobile keyboard behavior
+  setTimeout(() => {
+    const firstInput = document.getElementById(getFirstSetInputId());
+    if (firstInput) { firstInput.focus(); }
+  }, 50);
+}
+
+async function showEditSetModal(setId) {
+  try {
+    const set = await db.sets.get(setId);
+    const session = await db.sessions.get(set.sessionId);
+    
+    if (!set || !session) return;
+    
+    editingSet = set;
+    document.getElementById('set-modal-title').textContent = 'Edit Set';
+    setModalHint(null);
+    setModalSuggestion(null);
+    configureSetModalForMachine(await db.machines.get(set.machineId));
+    document.getElementById('set-date').value = session.date;
+    document.getElementById('set-weight').value = set.weightKg != null ? convertWeight(set.weightKg, appSettings.unit).toFixed(1) : '';
+    document.getElementById('set-reps').value = set.reps || '';
+    document.getElementById('set-type').value = getSetType(set);
+    document.getElementById('set-duration').value = set.durationSec ? formatDuration(set.durationSec) : '';
+    document.getElementById('set-distance').value = set.distanceKm ? convertDistance(set.distanceKm, getDistanceUnit()).toFixed(2) : '';
+    document.getElementById('set-level').value = set.level != null ? set.level : '';
+    document.getElementById('set-calories').value = set.calories || '';
+    document.getElementById('set-rpe').value = set.rpe || '';
+    document.getElementById('set-notes').value = set.notes || '';
+    
+    openModal('set-modal');
+  setTimeout(() => {
+    const firstInput = document.getElementById(getFirstSetInputId());
+    if (firstInput) { firstInput.focus(); }
+  }, 50);
+  } catch (error) {
+    console.error('Failed to load set for editing:', error);
+    showToast('Failed to load set', 'error');
+  }
+}
+
+// Weight field label/visibility depends on how the machine is loaded
+function configureSetModalForMachine(machine) {
+  const isCardio = isCardioMachine(machine);
+  document.getElementById('set-strength-fields').classList.toggle('hidden', isCardio);
+  document.getElementById('set-cardio-fields').classList.toggle('hidden', !isCardio);
+  document.getElementById('set-reps').required = !isCardio;
+  document.getElementById('set-duration').required = isCardio;
+  document.getElementById('distance-unit').textContent = getDistanceUnit();
+  
+  const loadType = getLoadType(machine);
+  const weightLabel = LOAD_TYPES[loadType].weightLabel;
+  const weightInput = document.getElementById('set-weight');
+  
+  document.getElementById('set-weight-field').classList.toggle('hidden', !weightLabel);
+  document.getElementById('set-weight-label').textContent = weightLabel || 'Weight';
+  weightInput.required = !isCardio && loadType === 'external';
+  document.getElementById('set-weight-required').classList.toggle('hidden', !weightInput.required);
+  
+  const setup = (machine && machine.setup) || [];
+  const setupLine = document.getElementById('set-modal-setup');
+  setupLine.textContent = setup.map(field => `${field.name}: ${field.value || '–'}`).join(' · ');
+  setupLine.classList.toggle('hidden', setup.length === 0);
+  
+  const bodyweightNote = document.getElementById('set-bodyweight-note');
+  if (isCardio || loadType === 'external') {
+    bodyweightNote.classList.add('hidden');
+  } else {
+    bodyweightNote.textContent = appSettings.bodyweightKg ?
+      `Bodyweight: ${convertWeight(appSettings.bodyweightKg, appSettings.unit).toFixed(1)} ${appSettings.unit}` :
+      'Set your bodyweight in Settings to track load';
+    bodyweightNote.classList.remove('hidden');
+  }
+}
+
+function getFirstSetInputId() {
+  if (!document.getElementById('set-cardio-fields').classList.contains('hidden')) return 'set-duration';
+  if (document.getElementById('set-weight-field').classList.contains('hidden')) return 'set-reps';
+  return 'set-weight';
+}
+
+function setModalHint(text) {
+  const hint = document.getElementById('set-modal-hint');
+  hint.textContent = text || '';
+  hint.classList.toggle('hidden', !text);
+}
+
+function setModalSuggestion(text) {
+  const suggestion = document.getElementById('set-modal-suggestion');
+  suggestion.textContent = text || '';
+  suggestion.classList.toggle('hidden', !text);
+}
+
+// Pre-fill the set form with the overload suggestion unless the user already typed
+async function applySetSuggestion(targetReps) {
+  const machine = currentMachine;
+  if (isCardioMachine(machine)) return;
+  const date = document.getElementById('set-date').value;
+  
+  try {
+    const suggestion = await suggestNextSet(machine, date, targetReps);
+    if (!suggestion || editingSet || currentMachine !== machine) return;
+    
+    const weightInput = document.getElementById('set-weight');
+    const repsInput = document.getElementById('set-reps');
+    if (!weightInput.value && getLoadType(machine) !== 'bodyweight') {
+      weightInput.value = convertWeight(suggestion.weightKg, appSettings.unit).toFixed(1);
+    }
+    if (!repsInput.value) {
+      repsInput.value = suggestion.reps;
+    }
+    setModalSuggestion(suggestion.reason);
+  } catch (error) {
+    console.error('Failed to suggest next set:', error);
+  }
+}
+
+// Progressive overload suggestion from this machine's recent top sets and their RPE
+async function suggestNextSet(machine, date, targetReps = null) {
+  const [sets, sessions] = await Promise.all([
+    db.sets.where('machineId').equals(machine.id).toArray(),
+    db.sessions.toArray()
+  ]);
+  const sessionMap = new Map(sessions.map(s => [s.id, s]));
+  
+  // Warm-ups say nothing about what the working sets should be
+  const setsByDate = new Map();
+  sets.forEach(set => {
+    const session = sessionMap.get(set.sessionId);
+    if (!session || getSetType(set) === 'warmup') return;
+    if (!setsByDate.has(session.date)) {
+      setsByDate.set(session.date, []);
+    }
+    setsByDate.get(session.date).push(set);
+  });
+  
+  // Already training this machine today: repeat the last set
+  if (setsByDate.has(date)) {
+    const lastSet = setsByDate.get(date).sort((a, b) => b.order - a.order)[0];
+    return {
+      weightKg: lastSet.weightKg,
+      reps: targetReps || lastSet.reps,
+      reason: 'Same as your previous set today'
+    };
+  }
+  
+  const previousDates = Array.from(setsByDate.keys()).filter(d => d < date).sort().reverse();
+  if (previousDates.length === 0) return null;
+  
+  const loadType = getLoadType(machine);
+  const topSets = previousDates.slice(0, 2).map(d => getTopSet(setsByDate.get(d), machine));
+  const lastTop = topSets[0];
+  const lastLoad = getSetLoadKg(lastTop, machine);
+  const reps = targetReps || lastTop.reps;
+  const increment = convertWeight(WEIGHT_INCREMENTS[appSettings.unit], appSettings.unit, true);
+  const lastDisplay = `${formatSetWeight(lastTop, machine)} × ${lastTop.reps}`;
+  
+  // Work on the effective load, then turn it back into the weight to enter
+  const minimumKg = loadType === 'external' ? increment : 0;
+  const atLoad = loadKg => roundToIncrement(enteredWeightForLoad(loadKg, loadType, appSettings.bodyweightKg), increment, minimumKg);
+  
+  // Two grinders in a row: back off and rebuild
+  if (topSets.length === 2 && topSets.every(isMissedSet) && getSetLoadKg(topSets[1], machine) <= lastLoad) {
+    const backOffReps = loadType === 'bodyweight' && !targetReps ? Math.max(1, Math.round(lastTop.reps * BACK_OFF_FACTOR)) : reps;
+    return {
+      weightKg: atLoad(lastLoad * BACK_OFF_FACTOR),
+      reps: backOffReps,
+      reason: `Back off ${Math.round((1 - BACK_OFF_FACTOR) * 100)}% after two max-effort sessions (last: ${lastDisplay})`
+    };
+  }
+  
+  if (lastTop.rpe == null) {
+    return {
+      weightKg: lastTop.weightKg,
+      reps,
+      reason: `Repeat last top set (${lastDisplay}) - log RPE for smarter suggestions`
+    };
+  }
+  
+  if (lastTop.rpe <= 8) {
+    // Bodyweight-only movements progress by reps
+    if (loadType === 'bodyweight') {
+      return {
+        weightKg: 0,
+        reps: targetReps || lastTop.reps + 1,
+        reason: `Add a rep - last top set ${lastDisplay} @ RPE ${lastTop.rpe}`
+      };
+    }
+    return {
+      weightKg: atLoad(lastLoad + increment),
+      reps,
+      reason: `${loadType === 'assisted' ? 'Remove' : 'Add'} ${WEIGHT_INCREMENTS[appSettings.unit]} ${appSettings.unit} - last top set ${lastDisplay} @ RPE ${lastTop.rpe}`
+    };
+  }
+  
+  return {
+    weightKg: lastTop.weightKg,
+    reps,
+    reason: `Hold weight - last top set ${lastDisplay} @ RPE ${lastTop.rpe}`
+  };
+}
+
+// Heaviest set of a day by effective load, most reps breaking ties
+function getTopSet(sets, machine) {
+  return sets.reduce((top, set) => {
+    if (!top) return set;
+    const load = getSetLoadKg(set, machine);
+    const topLoad = getSetLoadKg(top, machine);
+    if (load > topLoad || (load === topLoad && set.reps > top.reps)) {
+      return set;
+    }
+    return top;
+  }, null);
+}
+
+function isMissedSet(set) {
+  return set.rpe != null && set.rpe >= 9.5;
+}
+
+function roundToIncrement(weightKg, incrementKg, minimumKg = incrementKg) {
+  return Math.max(minimumKg, Math.round(weightKg / incrementKg) * incrementKg);
+}
+
+function closeModals() {
+  document.querySelectorAll('[id$="-modal"]').forEach(modal => {
+    modal.classList.add('hidden');
+  });
+  
+  // Stop the transfer QR animation and camera
+  stopTransferAnimation();
+  stopTransferScan();
+  
+  // Clean up object URLs
+  document.querySelectorAll('img[src^="blob:"]').forEach(img => {
+    URL.revokeObjectURL(img.src);
+  });
+  
+  // Restore background scroll
+  document.body.classList.remove('overflow-hidden');
+  
+  // Drop the modal's history entry, unless Back is what closed it
+  if (history.state && history.state.modal && !modalBackPending) {
+    modalBackPending = true;
+    history.back();
+  }
+}
+
+// Form handlers
+async function handleMachineSubmit(e) {
+  e.preventDefault();
+  
+  try {
+    const formData = new FormData(e.target);
+    const label = document.getElementById('machine-label').value.trim();
+    const muscleGroup = document.getElementById('machine-muscle-group').value.trim();
+    const exerciseType = document.getElementById('machine-exercise-type').value;
+    const loadType = exerciseType === 'cardio' ? DEFAULT_LOAD_TYPE : document.getElementById('machine-load-type').value;
+    const restValue = document.getElementById('machine-rest').value;
+    const restSeconds = restValue !== '' ? parseInt(restValue) : null;
+    const photoFile = document.getElementById('machine-photo').files[0];
+    const setup = normalizeSetupFields(setupFields);
+    
+    if (!label) {
+      showToast('Machine name is required', 'error');
+      return;
+    }
+    
+    if (restSeconds !== null && (isNaN(restSeconds) || restSeconds < 0)) {
+      showToast('Rest time must be zero or more seconds', 'error');
+      return;
+    }
+    
+    let imageFull = null;
+    let imageThumb = null;
+    
+    if (photoFile) {
+      try {
+        const images = await processImage(photoFile);
+        imageFull = images.full;
+        imageThumb = images.thumb;
+      } catch (error) {
+        console.error('Image processing failed:', error);
+        showToast('Failed to process image', 'error');
+        return;
+      }
+    } else if (editingMachine) {
+      // Keep existing images
+      imageFull = editingMachine.imageFull;
+      imageThumb = editingMachine.imageThumb;
+    }
+    
+    const machineData = {
+      label,
+      muscleGroup: muscleGroup || null,
+      exerciseType,
+      loadType,
+      restSeconds,
+      setup,
+      setupHistory: recordSetupChange(editingMachine ? editingMachine.setupHistory || [] : [], setup, toDateKey(new Date())),
+      imageFull,
+      imageThumb,
+      updatedAt: new Date()
+    };
+    
+    if (editingMachine) {
+      await db.machines.update(editingMachine.id, machineData);
+      showToast('Machine updated successfully');
+      
+      // Update current machine if viewing
+      if (currentMachine && currentMachine.id === editingMachine.id) {
+        currentMachine = { ...currentMachine, ...machineData };
+        loadMachineDetail();
+      }
+    } else {
+      machineData.createdAt = new Date();
+      await db.machines.add(machineData);
+      showToast('Machine added successfully');
+    }
+    
+    closeModals();
+    loadMachines();
+  } catch (error) {
+    console.error('Failed to save machine:', error);
+    showToast('Failed to save machine', 'error');
+  }
+}
+
+// Machine setup - `setup` holds the current [{ name, value }] fields; `setupHistory` keeps a
+// [{ date, setup }] snapshot for every day they changed
+function renderSetupFields() {
+  const container = document.getElementById('machine-setup-fields');
+  
+  if (setupFields.length === 0) {
+    container.innerHTML = '<p class="text-sm text-white/60">No setup saved yet</p>';
+    return;
+  }
+  
+  container.innerHTML = setupFields.map((field, index) => `
+    <div class="flex items-center space-x-2">
+      <input type="text" list="setup-field-names" placeholder="Seat height" oninput="updateSetupField(${index}, 'name', this.value)" class="flex-1 min-w-0 p-2 rounded-lg glass placeholder-gray-400 text-white border-0">
+      <input type="text" placeholder="4" oninput="updateSetupField(${index}, 'value', this.value)" class="w-24 p-2 rounded-lg glass placeholder-gray-400 text-white border-0">
+      <button type="button" onclick="removeSetupField(${index})" class="p-1 text-red-400 hover:text-red-300">✕</button>
+    </div>
+  `).join('');
+  
+  // Values go in through the DOM so quotes (6" seat height) survive
+  Array.from(container.children).forEach((row, index) => {
+    const [nameInput, valueInput] = row.querySelectorAll('input');
+    nameInput.value = setupFields[index].name;
+    valueInput.value = setupFields[index].value;
+  });
+}
+
+function addSetupField() {
+  setupFields.push({ name: '', value: '' });
+  renderSetupFields();
+  const inputs = document.querySelectorAll('#machine-setup-fields input[list]');
+  inputs[inputs.length - 1].focus();
+}
+
+// No re-render while typing, so the input keeps focus
+function updateSetupField(index, key, value) {
+  setupFields[index][key] = value;
+}
+
+function removeSetupField(index) {
+  setupFields.splice(index, 1);
+  renderSetupFields();
+}
+
+// Trimmed, without unnamed fields or repeated names
+function normalizeSetupFields(fields) {
+  const names = new Set();
+  return fields
+    .map(field => ({ name: field.name.trim(), value: field.value.trim() }))
+    .filter(field => {
+      const key = field.name.toLowerCase();
+      if (!field.name || names.has(key)) return false;
+      names.add(key);
+      return true;
+    });
+}
+
+function isSameSetup(a, b) {
+  return a.length === b.length && a.every((field, index) => field.name === b[index].name && field.value === b[index].value);
+}
+
+// Another edit on the same day replaces that day's snapshot; no snapshot when nothing changed
+function recordSetupChange(history, setup, date) {
+  const earlier = history.filter(entry => entry.date !== date);
+  const previous = earlier.length ? earlier[earlier.length - 1].setup : [];
+  return isSameSetup(previous, setup) ? earlier : [...earlier, { date, setup }];
+}
+
+// Newest first: [{ date, changes: [{ name, from, to }] }], from/to null when a field was added/removed
+function getSetupChanges(history) {
+  const valueOf = (setup, name) => {
+    const field = setup.find(item => item.name === name);
+    return field ? field.value : null;
+  };
+  
+  return history.map((entry, index) => {
+    const before = index > 0 ? history[index - 1].setup : [];
+    const names = new Set([...before, ...entry.setup].map(field => field.name));
+    const changes = Array.from(names)
+      .map(name => ({ name, from: valueOf(before, name), to: valueOf(entry.setup, name) }))
+      .filter(change => change.from !== change.to);
+    return { date: entry.date, changes };
+  }).filter(entry => entry.changes.length).reverse();
+}
+
+function getSetupFieldSince(setupChanges, name) {
+  const entry = setupChanges.find(item => item.changes.some(change => change.name === name));
+  return entry ? entry.date : null;
+}
+
+function formatSetupChange(change) {
+  if (change.from === null) return `${change.name} ${change.to || '–'}`;
+  if (change.to === null) return `${change.name} removed`;
+  return `${change.name} ${change.from || '–'} → ${change.to || '–'}`;
+}
+
+async function handleSetSubmit(e) {
+  e.preventDefault();
+  
+  try {
+    const machine = editingSet ? await db.machines.get(editingSet.machineId) : currentMachine;
+    if (isCardioMachine(machine)) {
+      await saveCardioEntry(machine);
+      return;
+    }
+    
+    const loadType = getLoadType(machine);
+    const date = document.getElementById('set-date').value;
+    const weightValue = document.getElementById('set-weight').value;
+    const weight = loadType === 'bodyweight' ? 0 : (weightValue ? parseFloat(weightValue) : 0);
+    const reps = parseInt(document.getElementById('set-reps').value);
+    const setType = document.getElementById('set-type').value;
+    const rpe = document.getElementById('set-rpe').value ? parseFloat(document.getElementById('set-rpe').value) : null;
+    const notes = document.getElementById('set-notes').value.trim() || null;
+    
+    // Only external weight needs a positive number; the other types allow 0 added/assist weight
+    const weightValid = loadType === 'external' ? weight > 0 : !isNaN(weight) && weight >= 0;
+    if (!date || !reps || !weightValid || reps <= 0) {
+      showToast('Please fill in all required fields with valid values', 'error');
+      return;
+    }
+    
+    if (loadType !== 'external' && !appSettings.bodyweightKg) {
+      showToast('Set your bodyweight in Settings first', 'error');
+      return;
+    }
+    
+    if (loadType === 'assisted' && convertWeight(weight, appSettings.unit, true) >= appSettings.bodyweightKg) {
+      showToast('Assistance must be less than your bodyweight', 'error');
+      return;
+    }
+    
+    if (rpe && (rpe < 1 || rpe > 10)) {
+      showToast('RPE must be between 1 and 10', 'error');
+      return;
+    }
+    
+    // Convert weight to kg for storage
+    const weightKg = convertWeight(weight, appSettings.unit, true);
+    
+    const session = await findOrCreateSession(date);
+    
+    if (editingSet) {
+      // Update existing set
+      await db.sets.update(editingSet.id, {
+        sessionId: session.id,
+        groupId: await getMovedSetGroupId(editingSet, session.id),
+        weightKg,
+        bodyweightKg: loadType !== 'external' ? (editingSet.bodyweightKg || appSettings.bodyweightKg) : null,
+        reps,
+        setType,
+        rpe,
+        notes
+      });
+      showToast('Set updated successfully');
+    } else {
+      const order = await getNextSetOrder(session.id, currentMachine.id);
+      
+      // Add new set
+      const setId = await db.sets.add({
+        sessionId: session.id,
+        machineId: currentMachine.id,
+        groupId: await getSessionGroupId(session.id, currentMachine.id),
+        order,
+        weightKg,
+        // Snapshot so later bodyweight changes don't rewrite history
+        bodyweightKg: loadType !== 'external' ? appSettings.bodyweightKg : null,
+        reps,
+        setType,
+        rpe,
+        notes
+      });
+      const newRecords = await detectNewRecords(currentMachine, setId);
+      if (newRecords.length > 0) {
+        const summary = newRecords.slice(0, 3).map(record => {
+          const value = convertWeight(record.value, appSettings.unit).toFixed(1);
+          return `${formatRecordType(record.type)} ${value} ${appSettings.unit}`;
+        }).join(', ');
+        const more = newRecords.length > 3 ? ` +${newRecords.length - 3} more` : '';
+        showToast(`🏆 New PR! ${summary}${more}`, 'success', 4000);
+      } else {
+        showToast('Set logged successfully');
+      }
+      
+      const restSeconds = getRestSeconds(currentMachine);
+      if (restSeconds > 0) {
+        startRestTimer(restSeconds);
+      }
+    }
+    
+    closeModals();
+    refreshCurrentScreen();
+  } catch (error) {
+    console.error('Failed to save set:', error);
+    showToast('Failed to save set', 'error');
+  }
+}
+
+async function findOrCreateSession(date) {
+  let session = await db.sessions.where('date').equals(date).first();
+  if (!session) {
+    session = await db.sessions.add({ date });
+    session = { id: session, date };
+  }
+  return session;
+}
+
+// After the highest existing order, so sets logged after a delete don't reuse a number
+async function getNextSetOrder(sessionId, machineId) {
+  const orders = await db.sets
+    .where('[sessionId+machineId]')
+    .equals([sessionId, machineId])
+    .toArray(sets => sets.map(set => set.order || 0));
+  return Math.max(0, ...orders) + 1;
+}
+
+// Superset/circuit a machine belongs to in a session, so new sets join it
+async function getSessionGroupId(sessionId, machineId) {
+  const grouped = await db.sets
+    .where('[sessionId+machineId]')
+    .equals([sessionId, machineId])
+    .filter(set => !!set.groupId)
+    .first();
+  return grouped ? grouped.groupId : null;
+}
+
+// A set moved to another day leaves its old group and joins the machine's group there, if any
+async function getMovedSetGroupId(set, sessionId) {
+  if (set.sessionId === sessionId) return set.groupId || null;
+  return getSessionGroupId(sessionId, set.machineId);
+}
+
+// Cardio entries share the sets table; weight and reps stay empty
+async function saveCardioEntry(machine) {
+  const date = document.getElementById('set-date').value;
+  const durationSec = parseDuration(document.getElementById('set-duration').value);
+  const distanceValue = document.getElementById('set-distance').value;
+  const levelValue = document.getElementById('set-level').value;
+  const caloriesValue = document.getElementById('set-calories').value;
+  const rpe = document.getElementById('set-rpe').value ? parseFloat(document.getElementById('set-rpe').value) : null;
+  const notes = document.getElementById('set-notes').value.trim() || null;
+  
+  const distance = distanceValue ? parseFloat(distanceValue) : null;
+  const level = levelValue ? parseFloat(levelValue) : null;
+  const calories = caloriesValue ? parseFloat(caloriesValue) : null;
+  
+  if (!date || !durationSec) {
+    showToast('Enter a duration as minutes or mm:ss', 'error');
+    return;
+  }
+  
+  if ((distance !== null && (isNaN(distance) || distance < 0)) || (calories !== null && (isNaN(calories) || calories < 0))) {
+    showToast('Distance and calories must be zero or more', 'error');
+    return;
+  }
+  
+  if (rpe && (rpe < 1 || rpe > 10)) {
+    showToast('RPE must be between 1 and 10', 'error');
+    return;
+  }
+  
+  const entry = {
+    weightKg: null,
+    reps: null,
+    durationSec,
+    distanceKm: distance !== null ? convertDistance(distance, getDistanceUnit(), true) : null,
+    level: level !== null && !isNaN(level) ? level : null,
+    calories,
+    rpe,
+    notes
+  };
+  const session = await findOrCreateSession(date);
+  
+  if (editingSet) {
+    await db.sets.update(editingSet.id, { sessionId: session.id, groupId: await getMovedSetGroupId(editingSet, session.id), ...entry });
+    showToast('Entry updated successfully');
+  } else {
+    await db.sets.add({
+      sessionId: session.id,
+      machineId: machine.id,
+      groupId: await getSessionGroupId(session.id, machine.id),
+      order: await getNextSetOrder(session.id, machine.id),
+      ...entry
+    });
+    showToast('Cardio logged successfully');
+  }
+  
+  closeModals();
+  refreshCurrentScreen();
+}
+
+// Image processing
+async function processImage(file) {
+  return new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const img = new Image();
+    
+    img.onload = () => {
+      try {
+        // Calculate dimensions for full image (max 1280px)
+        let { width: fullWidth, height: fullHeight } = img;
+        const maxFull = 1280;
+        
+        if (fullWidth > maxFull || fullHeight > maxFull) {
+          const ratio = Math.min(maxFull / fullWidth, maxFull / fullHeight);
+          fullWidth = Math.round(fullWidth * ratio);
+          fullHeight = Math.round(fullHeight * ratio);
+        }
+        
+        // Create full image
+        canvas.width = fullWidth;
+        canvas.height = fullHeight;
+        ctx.drawImage(img, 0, 0, fullWidth, fullHeight);
+        
+        canvas.toBlob(async (fullBlob) => {
+          // Create thumbnail (96px)
+          const thumbSize = 96;
+          const ratio = Math.min(thumbSize / img.width, thumbSize / img.height);
+          const thumbWidth = Math.round(img.width * ratio);
+          const thumbHeight = Math.round(img.height * ratio);
+          
+          canvas.width = thumbWidth;
+          canvas.height = thumbHeight;
+          ctx.clearRect(0, 0, thumbWidth, thumbHeight);
+          ctx.drawImage(img, 0, 0, thumbWidth, thumbHeight);
+          
+          canvas.toBlob((thumbBlob) => {
+            resolve({
+              full: fullBlob,
+              thumb: thumbBlob
+            });
+          }, 'image/webp', 0.85);
+        }, 'image/webp', 0.9);
+      } catch (error) {
+        reject(error);
+      }
+    };
+    
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = URL.createObjectURL(file);
+  });
+}
+
+function previewPhoto(e) {
+  const file = e.target.files[0];
+  if (file) {
+    const preview = document.getElementById('photo-preview');
+    const img = document.getElementById('preview-img');
+    
+    // Clean up previous URL
+    if (img.src && img.src.startsWith('blob:')) {
+      URL.revokeObjectURL(img.src);
+    }
+    
+    img.src = URL.createObjectURL(file);
+    preview.classList.remove('hidden');
+  } else {
+    document.getElementById('photo-preview').classList.add('hidden');
+  }
+}
+
+// Confirmation dialogs
+function confirmDeleteMachine() {
+  showConfirm(
+    'Move this machine and all its sets to the trash? You can restore it from Settings → Trash.',
+    async () => {
+      try {
+        await takeSnapshot(`Before deleting ${currentMachine.label}`);
+        const [machine, sets, prs] = await Promise.all([
+          db.machines.get(currentMachine.id),
+          db.sets.where('machineId').equals(currentMachine.id).toArray(),
+          db.prs.where('machineId').equals(currentMachine.id).toArray()
+        ]);
+        const trashId = await moveToTrash('machine', machine.label, { machines: [machine], sets, prs });
+        showUndoToast('Machine moved to trash', trashId);
+        showScreen('machines');
+      } catch (error) {
+        console.error('Failed to delete machine:', error);
+        showToast('Failed to delete machine', 'error');
+      }
+    }
+  );
+}
+
+// No confirmation: the toast offers Undo and the set stays in the trash
+async function deleteSet(setId) {
+  try {
+    const set = await db.sets.get(setId);
+    if (!set) return;
+    
+    const machine = await db.machines.get(set.machineId);
+    const label = `${machine ? machine.label : 'Unknown machine'}: ${describeSet(set, machine)}`;
+    // Records the set earned go with it, and come back on undo
+    const prs = await db.prs.where('machineId').equals(set.machineId).filter(pr => pr.setId === set.id).toArray();
+    const trashId = await moveToTrash('set', label, { machines: [], sets: [set], prs });
+    showUndoToast('Set deleted', trashId);
+    refreshCurrentScreen();
+  } catch (error) {
+    console.error('Failed to delete set:', error);
+    showToast('Failed to delete set', 'error');
+  }
+}
+
+function showConfirm(message, onConfirm) {
+  document.getElementById('confirm-message').textContent = message;
+  document.getElementById('confirm-btn').onclick = () => {
+    closeModals();
+    onConfirm();
+  };
+  openModal('confirm-modal');
+}
+
+// Settings management
+function getActiveTheme() {
+  if (appSettings.theme === 'system') {
+    return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+  }
+  return appSettings.theme === 'light' ? 'light' : 'dark';
+}
+
+function applyTheme() {
+  const theme = getActiveTheme();
+  const colors = THEME_COLORS[theme];
+  document.body.classList.toggle('dark', theme === 'dark');
+  document.body.classList.toggle('light', theme === 'light');
+  // Native controls (date pickers, scrollbars) follow along
+  document.documentElement.style.colorScheme = theme;
+  document.querySelector('meta[name="theme-color"]').setAttribute('content', colors.meta);
+  document.querySelector('meta[name="apple-mobile-web-app-status-bar-style"]')
+    .setAttribute('content', theme === 'dark' ? 'black-translucent' : 'default');
+  
+  // The range, metric and trend live in chartOptions, so a redraw keeps them
+  if (machineChart && currentScreen === 'machine-detail') {
+    renderMachineChart();
+  }
+  if (currentScreen === 'compare') {
+    loadCompare();
+  }
+  if (currentScreen === 'dashboard') {
+    loadDashboard();
+  }
+}
+
+function updateThemeButtons() {
+  ['light', 'dark', 'system'].forEach(theme => {
+    const button = document.getElementById(`theme-${theme}`);
+    const selected = (appSettings.theme || 'dark') === theme;
+    button.classList.toggle('btn-primary', selected);
+    button.classList.toggle('text-white', selected);
+    button.classList.toggle('glass', !selected);
+    button.classList.toggle('text-gray-300', !selected);
+  });
+}
+
+async function setTheme(theme) {
+  try {
+    appSettings.theme = theme;
+    await db.settings.update('app', { theme });
+    applyTheme();
+    updateThemeButtons();
+  } catch (error) {
+    console.error('Failed to update theme:', error);
+    showToast('Failed to update theme', 'error');
+  }
+}
+
+function updateUnitButtons() {
+  const kgBtn = document.getElementById('unit-kg');
+  const lbBtn = document.getElementById('unit-lb');
+  
+  if (appSettings.unit === 'kg') {
+    kgBtn.classList.add('btn-primary', 'text-white');
+    kgBtn.classList.remove('glass', 'text-gray-300');
+    lbBtn.classList.add('glass', 'text-gray-300');
+    lbBtn.classList.remove('btn-primary', 'text-white');
+  } else {
+    lbBtn.classList.add('btn-primary', 'text-white');
+    lbBtn.classList.remove('glass', 'text-gray-300');
+    kgBtn.classList.add('glass', 'text-gray-300');
+    kgBtn.classList.remove('btn-primary', 'text-white');
+  }
+}
+
+function updateWeightUnits() {
+  const weightUnit = document.getElementById('weight-unit');
+  if (weightUnit) {
+    weightUnit.textContent = appSettings.unit;
+  }
+}
+
+async function setUnit(unit) {
+  try {
+    appSettings.unit = unit;
+    await db.settings.update('app', { unit });
+    updateUnitButtons();
+    updateWeightUnits();
+    updateBodyweightInput();
+    showToast(`Units changed to ${unit.toUpperCase()}`);
+    
+    // Refresh current screen to show updated units
+    refreshCurrentScreen();
+  } catch (error) {
+    console.error('Failed to update unit setting:', error);
+    showToast('Failed to update units', 'error');
+  }
+}
+
+function updateBodyweightInput() {
+  const input = document.getElementById('bodyweight-input');
+  if (input) {
+    input.value = appSettings.bodyweightKg ? convertWeight(appSettings.bodyweightKg, appSettings.unit).toFixed(1) : '';
+  }
+  
+  const unitLabel = document.getElementById('bodyweight-unit');
+  if (unitLabel) {
+    unitLabel.textContent = appSettings.unit;
+  }
+}
+
+async function setBodyweight(value) {
+  const bodyweight = value !== '' ? parseFloat(value) : null;
+  if (bodyweight !== null && (isNaN(bodyweight) || bodyweight <= 0)) {
+    showToast('Bodyweight must be a positive number', 'error');
+    updateBodyweightInput();
+    return;
+  }
+  
+  try {
+    const bodyweightKg = bodyweight !== null ? convertWeight(bodyweight, appSettings.unit, true) : null;
+    appSettings.bodyweightKg = bodyweightKg;
+    await db.settings.update('app', { bodyweightKg });
+    showToast('Bodyweight updated');
+    refreshCurrentScreen();
+  } catch (error) {
+    console.error('Failed to update bodyweight:', error);
+    showToast('Failed to update bodyweight', 'error');
+  }
+}
+
+function updateFormulaSelect() {
+  const select = document.getElementById('e1rm-formula');
+  if (!select) return;
+  
+  if (select.options.length === 0) {
+    select.innerHTML = Object.entries(E1RM_FORMULAS).map(([key, entry]) =>
+      `<option value="${key}" class="text-black">${entry.label}</option>`
+    ).join('');
+  }
+  select.value = E1RM_FORMULAS[appSettings.e1rmFormula] ? appSettings.e1rmFormula : DEFAULT_E1RM_FORMULA;
+}
+
+async function setE1RMFormula(formula) {
+  if (!E1RM_FORMULAS[formula]) return;
+  
+  try {
+    appSettings.e1rmFormula = formula;
+    await db.settings.update('app', { e1rmFormula: formula });
+    showToast(`e1RM formula set to ${E1RM_FORMULAS[formula].label}`);
+    refreshCurrentScreen();
+  } catch (error) {
+    console.error('Failed to update e1RM formula:', error);
+    showToast('Failed to update formula', 'error');
+  }
+}
+
+function updateWarmupSetting() {
+  document.getElementById('warmup-sets').value = appSettings.excludeWarmups === false ? 'include' : 'exclude';
+}
+
+async function setExcludeWarmups(exclude) {
+  try {
+    appSettings.excludeWarmups = exclude;
+    await db.settings.update('app', { excludeWarmups: exclude });
+    showToast(exclude ? 'Warm-ups left out of stats' : 'Warm-ups counted in stats');
+    refreshCurrentScreen();
+  } catch (error) {
+    console.error('Failed to update warm-up setting:', error);
+    showToast('Failed to update setting', 'error');
+  }
+}
+
+function updateRestSettings() {
+  const overrideInput = document.getElementById('rest-override');
+  if (overrideInput) {
+    overrideInput.value = appSettings.restSeconds != null ? appSettings.restSeconds : '';
+  }
+  
+  const notifyBtn = document.getElementById('rest-notify-btn');
+  if (notifyBtn) {
+    const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+    notifyBtn.textContent = permission === 'granted' ? 'Notifications enabled' :
+      permission === 'denied' ? 'Notifications blocked' :
+      permission === 'unsupported' ? 'Notifications unavailable' : 'Enable notifications';
+    notifyBtn.disabled = permission !== 'default';
+  }
+}
+
+async function setRestOverride(value) {
+  const restSeconds = value !== '' ? parseInt(value) : null;
+  if (restSeconds !== null && (isNaN(restSeconds) || restSeconds < 0)) {
+    showToast('Rest time must be zero or more seconds', 'error');
+    updateRestSettings();
+    return;
+  }
+  
+  try {
+    appSettings.restSeconds = restSeconds;
+    await db.settings.update('app', { restSeconds });
+    updateRestSettings();
+    showToast(restSeconds === null ? 'Using per-machine rest times' :
+      restSeconds === 0 ? 'Rest timer turned off' : `Rest timer set to ${restSeconds}s`);
+  } catch (error) {
+    console.error('Failed to update rest setting:', error);
+    showToast('Failed to update rest timer', 'error');
+  }
+}
+
+async function requestRestNotifications() {
+  if (!('Notification' in window)) return;
+  
+  try {
+    await Notification.requestPermission();
+  } catch (error) {
+    console.error('Notification permission request failed:', error);
+  }
+  updateRestSettings();
+}
+
+// Rest timer
+function getRestSeconds(machine) {
+  // A Settings override (including 0 = off) wins over the machine default
+  if (appSettings.restSeconds != null) return appSettings.restSeconds;
+  if (machine && machine.restSeconds != null) return machine.restSeconds;
+  return DEFAULT_REST_SECONDS;
+}
+
+function startRestTimer(seconds) {
+  stopRestTimer();
+  
+  restTimer = {
+    endsAt: Date.now() + seconds * 1000,
+    intervalId: setInterval(updateRestTimer, 250),
+    machineLabel: currentMachine ? currentMachine.label : null
+  };
+  
+  prepareRestSound();
+  scheduleRestNotification();
+  document.getElementById('rest-timer').classList.remove('hidden');
+  updateRestTimer();
+}
+
+function adjustRestTimer(deltaSeconds) {
+  if (!restTimer) return;
+  
+  restTimer.endsAt = Math.max(Date.now(), restTimer.endsAt + deltaSeconds * 1000);
+  scheduleRestNotification();
+  updateRestTimer();
+}
+
+function stopRestTimer() {
+  if (restTimer) {
+    clearInterval(restTimer.intervalId);
+    restTimer = null;
+    postToServiceWorker({ type: 'REST_TIMER_CANCEL' });
+  }
+  document.getElementById('rest-timer').classList.add('hidden');
+}
+
+function updateRestTimer() {
+  if (!restTimer) return;
+  
+  const remaining = Math.ceil((restTimer.endsAt - Date.now()) / 1000);
+  if (remaining <= 0) {
+    finishRestTimer();
+    return;
+  }
+  
+  const minutes = Math.floor(remaining / 60);
+  const seconds = remaining % 60;
+  document.getElementById('rest-timer-label').textContent = 'Rest';
+  document.getElementById('rest-timer-time').textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function finishRestTimer() {
+  clearInterval(restTimer.intervalId);
+  restTimer = null;
+  
+  document.getElementById('rest-timer-label').textContent = 'Rest over';
+  document.getElementById('rest-timer-time').textContent = '0:00';
+  
+  if (navigator.vibrate) {
+    navigator.vibrate([200, 100, 200]);
+  }
+  playRestSound();
+  
+  // The service worker shows the notification; just hide the bar after a moment
+  setTimeout(() => {
+    if (!restTimer) {
+      document.getElementById('rest-timer').classList.add('hidden');
+    }
+  }, 3000);
+}
+
+// Audio must be unlocked during a user gesture, so do it when the timer starts
+function prepareRestSound() {
+  try {
+    if (!restAudioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
+      restAudioContext = new AudioContextClass();
+    }
+    if (restAudioContext.state === 'suspended') {
+      restAudioContext.resume();
+    }
+  } catch (error) {
+    console.error('Failed to prepare rest sound:', error);
+  }
+}
+
+function playRestSound() {
+  if (!restAudioContext) return;
+  
+  try {
+    [0, 0.3].forEach(offset => {
+      const oscillator = restAudioContext.createOscillator();
+      const gain = restAudioContext.createGain();
+      const startAt = restAudioContext.currentTime + offset;
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.3, startAt);
+      gain.gain.exponentialRampToValueAtTime(0.001, startAt + 0.25);
+      oscillator.connect(gain);
+      gain.connect(restAudioContext.destination);
+      oscillator.start(startAt);
+      oscillator.stop(startAt + 0.25);
+    });
+  } catch (error) {
+    console.error('Failed to play rest sound:', error);
+  }
+}
+
+// Hand the end time to the service worker so the alert fires even when the page is suspended
+function scheduleRestNotification() {
+  if (!restTimer || !('Notification' in window) || Notification.permission !== 'granted') return;
+  
+  postToServiceWorker({
+    type: 'REST_TIMER_START',
+    endsAt: restTimer.endsAt,
+    body: restTimer.machineLabel ? `Time for your next set on ${restTimer.machineLabel}` : 'Time for your next set'
+  });
+}
+
+async function postToServiceWorker(message) {
+  if (!('serviceWorker' in navigator)) return;
+  
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.active) {
+      registration.active.postMessage(message);
+    }
+  } catch (error) {
+    console.error('Failed to message service worker:', error);
+  }
+}
+
+// Data management
+// Sync - opt-in push/pull of machine and set changes (protocol in SYNC.md)
+function getSyncSettings() {
+  return { ...DEFAULT_SYNC_SETTINGS, ...appSettings.sync };
+}
+
+async function saveSyncSettings(changes) {
+  const sync = { ...getSyncSettings(), ...changes };
+  appSettings.sync = sync;
+  await db.settings.update('app', { sync });
+  updateSyncSettings();
+}
+
+function updateSyncSettings() {
+  const sync = getSyncSettings();
+  const endpointInput = document.getElementById('sync-endpoint');
+  if (!endpointInput) return;
+  
+  endpointInput.value = sync.endpoint;
+  document.getElementById('sync-token').value = sync.token;
+  document.getElementById('sync-toggle-btn').textContent = sync.enabled ? 'Turn off sync' : 'Turn on sync';
+  document.getElementById('sync-now-btn').classList.toggle('hidden', !sync.enabled);
+  document.getElementById('sync-now-btn').disabled = syncInProgress;
+  
+  const status = document.getElementById('sync-status');
+  status.classList.toggle('text-red-400', !!(sync.enabled && sync.lastError));
+  status.textContent = !sync.enabled ? 'Sync is off. Data stays on this device.' :
+    syncInProgress ? 'Syncing…' :
+    sync.lastError ? `Last sync failed: ${sync.lastError}` :
+    sync.lastSyncedAt ? `Last synced ${new Date(sync.lastSyncedAt).toLocaleString()}` : 'Not synced yet';
+}
+
+async function setSyncEndpoint(value) {
+  const endpoint = value.trim();
+  if (endpoint) {
+    try {
+      new URL(endpoint);
+    } catch (error) {
+      showToast('Enter a full URL, e.g. https://sync.example.com', 'error');
+      updateSyncSettings();
+      return;
+    }
+  }
+  
+  try {
+    // A different server has its own sequence numbers - start over and upload everything
+    const endpointChanged = endpoint !== getSyncSettings().endpoint;
+    await saveSyncSettings({ endpoint, ...(endpointChanged ? { cursor: 0, lastSyncedAt: null, lastError: null } : {}) });
+    if (endpointChanged && getSyncSettings().enabled) {
+      await queueAllForSync();
+      syncNow(true);
+    }
+  } catch (error) {
+    console.error('Failed to update sync endpoint:', error);
+    showToast('Failed to update sync endpoint', 'error');
+  }
+}
+
+async function setSyncToken(value) {
+  try {
+    await saveSyncSettings({ token: value.trim() });
+  } catch (error) {
+    console.error('Failed to update sync token:', error);
+    showToast('Failed to update sync token', 'error');
+  }
+}
+
+async function toggleSync() {
+  const sync = getSyncSettings();
+  if (!sync.enabled && !sync.endpoint) {
+    showToast('Enter a sync endpoint first', 'error');
+    return;
+  }
+  
+  try {
+    if (sync.enabled) {
+      await saveSyncSettings({ enabled: false });
+      showToast('Sync turned off');
+      return;
+    }
+    
+    await saveSyncSettings({ enabled: true, deviceId: sync.deviceId || generateUid(), cursor: 0, lastError: null });
+    await queueAllForSync();
+    await syncNow(true);
+  } catch (error) {
+    console.error('Failed to turn on sync:', error);
+    showToast('Failed to turn on sync', 'error');
+  }
+}
+
+// Every machine and set goes out on the first sync; earlier tombstones are kept
+async function queueAllForSync() {
+  const at = new Date();
+  const records = await Promise.all(SYNC_TABLES.map(table => db[table].toArray()));
+  await db.transaction('rw', db.syncChanges, async () => {
+    await db.syncChanges.where('pushed').equals(0).delete();
+    await db.syncChanges.bulkAdd(SYNC_TABLES.flatMap((table, index) =>
+      records[index].map(record => ({ table, uid: record.uid, op: 'put', at, pushed: 0 }))
+    ));
+  });
+}
+
+// Called from the Dexie hooks; the log is written once the edit commits since
+// syncChanges isn't part of the caller's transaction
+function logSyncChange(tx, table, uid, op) {
+  if (!getSyncSettings().enabled || isUpgradeTransaction(tx) || tx.fromSync) return;
+  
+  if (!tx.syncChanges) {
+    tx.syncChanges = [];
+    tx.on('complete', () => {
+      db.syncChanges.bulkAdd(tx.syncChanges)
+        .then(scheduleSync)
+        .catch(error => console.error('Failed to log sync changes:', error));
+    });
+  }
+  tx.syncChanges.push({ table, uid, op, at: new Date(), pushed: 0 });
+}
+
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => syncNow(), SYNC_DELAY_MS);
+}
+
+// manual: show the outcome as a toast (background syncs only update the status line)
+async function syncNow(manual = false) {
+  const sync = getSyncSettings();
+  if (!sync.enabled || !sync.endpoint || syncInProgress) return;
+  
+  clearTimeout(syncTimer);
+  syncInProgress = true;
+  updateSyncSettings();
+  
+  try {
+    // Pull first so local edits that lost to a newer remote version aren't pushed
+    const pulled = await pullRemoteChanges();
+    const pushed = await pushLocalChanges();
+    syncInProgress = false;
+    await saveSyncSettings({ lastSyncedAt: new Date().toISOString(), lastError: null });
+    
+    if (pulled && currentScreen === 'machines') {
+      loadMachines();
+    } else if (pulled) {
+      refreshCurrentScreen();
+    }
+    if (manual) {
+      showToast(pulled || pushed ? `Synced: ${pulled} received, ${pushed} sent` : 'Already up to date');
+    }
+  } catch (error) {
+    console.error('Sync failed:', error);
+    syncInProgress = false;
+    await saveSyncSettings({ lastError: error.message || 'Network error' });
+    if (manual) {
+      showToast('Sync failed', 'error');
+    }
+  }
+}
+
+async function pullRemoteChanges() {
+  let applied = 0;
+  let more = true;
+  
+  while (more) {
+    const sync = getSyncSettings();
+    const response = await pullSyncChanges(sync, sync.cursor);
+    const changes = response.changes.filter(change => change.deviceId !== sync.deviceId);
+    
+    if (changes.length) {
+      await db.transaction('rw', db.machines, db.sessions, db.sets, db.prs, db.syncChanges, async tx => {
+        // Keeps the hooks from logging these writes back into the change log
+        tx.fromSync = true;
+        for (const change of changes) {
+          if (await applySyncChange(change, sync.deviceId)) applied++;
+        }
+      });
+    }
+    
+    await saveSyncSettings({ cursor: response.cursor });
+    more = response.more;
+  }
+  
+  return applied;
+}
+
+async function applySyncChange(change, deviceId) {
+  if (!SYNC_TABLES.includes(change.table)) return false;
+  
+  const table = db[change.table];
+  const local = await table.where('uid').equals(change.uid).first();
+  const incoming = { updatedAt: Date.parse(change.updatedAt), deviceId: change.deviceId };
+  const current = local
+    ? { updatedAt: new Date(local.updatedAt).getTime(), deviceId: local.updatedBy || deviceId }
+    : await getSyncTombstone(change.table, change.uid, deviceId);
+  if (current && compareSyncVersions(incoming, current) <= 0) return false;
+  
+  if (change.op === 'delete') {
+    if (!local) return false;
+    if (change.table === 'machines') {
+      await db.sets.where('machineId').equals(local.id).delete();
+      await db.prs.where('machineId').equals(local.id).delete();
+    }
+    await table.delete(local.id);
+    return true;
+  }
+  
+  const record = await fromSyncRecord(change.table, change.record);
+  if (!record) return false;
+  record.updatedAt = new Date(incoming.updatedAt);
+  record.updatedBy = change.deviceId;
+  
+  if (local) {
+    await table.update(local.id, record);
+  } else {
+    await table.add({ ...record, uid: change.uid });
+  }
+  return true;
+}
+
+async function getSyncTombstone(table, uid, deviceId) {
+  const tombstone = await db.syncChanges
+    .where('[table+uid]')
+    .equals([table, uid])
+    .filter(change => change.op === 'delete')
+    .last();
+  return tombstone ? { updatedAt: tombstone.at.getTime(), deviceId } : null;
+}
+
+// Back from the wire format: resolve a set's machine by uid and its session by date
+async function fromSyncRecord(table, wire) {
+  const record = { ...wire, createdAt: wire.createdAt ? new Date(wire.createdAt) : new Date() };
+  if (table !== 'sets') return record;
+  
+  const machine = await db.machines.where('uid').equals(wire.machineUid).first();
+  if (!machine || !wire.date) return null;
+  
+  const session = await findOrCreateSession(wire.date);
+  delete record.machineUid;
+  delete record.date;
+  return { ...record, machineId: machine.id, sessionId: session.id };
+}
+
+async function pushLocalChanges() {
+  const sync = getSyncSettings();
+  const pending = await db.syncChanges.where('pushed').equals(0).toArray();
+  if (!pending.length) return 0;
+  
+  // Latest entry per record; records are read now so edits made since logging go along
+  const latest = new Map();
+  pending.forEach(entry => latest.set(`${entry.table}|${entry.uid}`, entry));
+  
+  const [machines, sessions] = await Promise.all([db.machines.toArray(), db.sessions.toArray()]);
+  const machineUids = new Map(machines.map(m => [m.id, m.uid]));
+  const sessionDates = new Map(sessions.map(s => [s.id, s.date]));
+  
+  const changes = [];
+  for (const entry of latest.values()) {
+    if (entry.op === 'delete') {
+      changes.push({ table: entry.table, uid: entry.uid, op: 'delete', updatedAt: entry.at.toISOString() });
+      continue;
+    }
+    
+    const record = await db[entry.table].where('uid').equals(entry.uid).first();
+    // Gone, or last written by another device (a remote version won during the pull)
+    if (!record || (record.updatedBy && record.updatedBy !== sync.deviceId)) continue;
+    
+    const refs = entry.table === 'sets'
+      ? { machineUid: machineUids.get(record.machineId), date: sessionDates.get(record.sessionId) }
+      : {};
+    changes.push({
+      table: entry.table,
+      uid: entry.uid,
+      op: 'put',
+      updatedAt: new Date(record.updatedAt).toISOString(),
+      record: toSyncRecord(record, refs)
+    });
+  }
+  
+  if (changes.length) {
+    await pushSyncChanges(sync, changes);
+  }
+  
+  // Pushed puts are done with; deletes stay behind as tombstones
+  await db.transaction('rw', db.syncChanges, async () => {
+    await db.syncChanges.bulkDelete(pending.filter(entry => entry.op === 'put').map(entry => entry.seq));
+    await db.syncChanges.bulkPut(pending.filter(entry => entry.op === 'delete').map(entry => ({ ...entry, pushed: 1 })));
+  });
+  return changes.length;
+}
+
+async function exportData() {
+  try {
+    const backup = await buildBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `gymnote-backup-${new Date().toISOString().split('T')[0]}.json`);
+    await markBackedUp();
+    
+    showToast('Data exported successfully');
+  } catch (error) {
+    console.error('Failed to export data:', error);
+    showToast('Failed to export data', 'error');
+  }
+}
+
+function exportEncryptedData() {
+  showPassphraseModal({
+    title: 'Encrypt Backup',
+    message: 'The backup can only be restored with this passphrase. There is no way to recover it if you forget it.',
+    submitLabel: 'Export',
+    confirm: true
+  }, async passphrase => {
+    const backup = await buildBackup();
+    const blob = new Blob([await encryptBackup(JSON.stringify(backup), passphrase)], { type: 'application/octet-stream' });
+    downloadBlob(blob, `gymnote-backup-${new Date().toISOString().split('T')[0]}${ENCRYPTED_BACKUP_EXTENSION}`);
+    await markBackedUp();
+    
+    closeModals();
+    showToast('Encrypted backup exported');
+  });
+}
+
+// onSubmit(passphrase) runs with the modal still open; an error it throws is shown in the modal
+function showPassphraseModal({ title, message, submitLabel, confirm = false }, onSubmit) {
+  const form = document.getElementById('passphrase-form');
+  form.reset();
+  document.getElementById('passphrase-modal-title').textContent = title;
+  document.getElementById('passphrase-message').textContent = message;
+  document.getElementById('passphrase-submit').textContent = submitLabel;
+  document.getElementById('passphrase-confirm-field').classList.toggle('hidden', !confirm);
+  document.getElementById('passphrase-error').classList.add('hidden');
+  
+  form.onsubmit = async e => {
+    e.preventDefault();
+    const passphrase = document.getElementById('passphrase-input').value;
+    const submitBtn = document.getElementById('passphrase-submit');
+    
+    try {
+      if (confirm && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      }
+      if (confirm && passphrase !== document.getElementById('passphrase-confirm').value) {
+        throw new Error('Passphrases do not match');
+      }
+      
+      submitBtn.disabled = true;
+      await onSubmit(passphrase);
+    } catch (error) {
+      console.error('Passphrase action failed:', error);
+      const errorText = document.getElementById('passphrase-error');
+      errorText.textContent = error instanceof SyntaxError ? 'Invalid backup file' : error.message;
+      errorText.classList.remove('hidden');
+    } finally {
+      submitBtn.disabled = false;
+    }
+  };
+  
+  openModal('passphrase-modal');
+  document.getElementById('passphrase-input').focus();
+}
+
+// since: 'YYYY-MM-DD' to include only sets, routines and PRs changed from that day on.
+// Machines always go along so the sets have something to attach to.
+async function buildBackup({ since = null, includePhotos = true } = {}) {
+  const [machines, sessions, sets, routines, prs, settings] = await Promise.all([
+    db.machines.toArray(),
+    db.sessions.toArray(),
+    db.sets.toArray(),
+    db.routines.toArray(),
+    db.prs.toArray(),
+    db.settings.toArray()
+  ]);
+  
+  // Convert image blobs to data URLs for export
+  const exportedMachines = await Promise.all(
+    machines.map(async machine => {
+      const exported = { ...machine };
+      
+      if (machine.imageFull) {
+        exported.imageFull = includePhotos ? await blobToDataURL(machine.imageFull) : null;
+      }
+      if (machine.imageThumb) {
+        exported.imageThumb = includePhotos ? await blobToDataURL(machine.imageThumb) : null;
+      }
+      
+      return exported;
+    })
+  );
+  
+  // Sync credentials stay on the device
+  const exportedSettings = settings.map(({ sync, ...rest }) => rest);
+  
+  if (!since) {
+    return {
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      machines: exportedMachines,
+      sessions,
+      sets,
+      routines,
+      prs,
+      settings: exportedSettings
+    };
+  }
+  
+  const sinceDate = new Date(`${since}T00:00:00`);
+  const changedSince = record => new Date(record.updatedAt || record.createdAt) >= sinceDate;
+  const changedSets = sets.filter(changedSince);
+  const sessionIds = new Set(changedSets.map(set => set.sessionId));
+  return {
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    since,
+    machines: exportedMachines,
+    sessions: sessions.filter(session => sessionIds.has(session.id)),
+    sets: changedSets,
+    routines: routines.filter(changedSince),
+    prs: prs.filter(changedSince),
+    settings: []
+  };
+}
+
+// One row per set, weights in the display unit - meant for spreadsheets, not backups
+async function exportCSV() {
+  try {
+    const [machines, sessions, sets] = await Promise.all([
+      db.machines.toArray(),
+      db.sessions.toArray(),
+      db.sets.toArray()
+    ]);
+    const machineMap = new Map(machines.map(m => [m.id, m]));
+    const sessionMap = new Map(sessions.map(s => [s.id, s]));
+    const unit = appSettings.unit;
+    const distanceUnit = getDistanceUnit();
+    
+    const rows = sets
+      .filter(set => machineMap.has(set.machineId) && sessionMap.has(set.sessionId))
+      .map(set => ({ set, machine: machineMap.get(set.machineId), date: sessionMap.get(set.sessionId).date }))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.machine.label.localeCompare(b.machine.label) || a.set.order - b.set.order)
+      .map(({ set, machine, date }) => [
+        date,
+        machine.label,
+        machine.muscleGroup || '',
+        set.order,
+        set.weightKg != null ? roundTo(convertWeight(set.weightKg, unit), 2) : '',
+        set.reps != null ? set.reps : '',
+        set.rpe != null ? set.rpe : '',
+        set.notes || '',
+        set.durationSec ? formatDuration(set.durationSec) : '',
+        set.distanceKm ? roundTo(convertDistance(set.distanceKm, distanceUnit), 3) : '',
+        set.level != null ? set.level : '',
+        set.calories != null ? set.calories : '',
+        isCardioMachine(machine) ? '' : SET_TYPES[getSetType(set)].label
+      ]);
+    
+    const header = [
+      'Date', 'Machine', 'Muscle Group', 'Order', `Weight (${unit})`, 'Reps', 'RPE', 'Notes',
+      'Duration', `Distance (${distanceUnit})`, 'Level', 'Calories', 'Set Type'
+    ];
+    const blob = new Blob([toCSV([header, ...rows])], { type: 'text/csv' });
+    downloadBlob(blob, `gymnote-log-${new Date().toISOString().split('T')[0]}.csv`);
+    
+    showToast(`Exported ${rows.length} sets to CSV`);
+  } catch (error) {
+    console.error('Failed to export CSV:', error);
+    showToast('Failed to export CSV', 'error');
+  }
+}
+
+// CSV import: parse (GymNote, Strong, Hevy or FitNotes), preview the exercise mapping, then commit
+async function previewCSVImport(text) {
+  const { format, entries, skipped } = parseTrainingLogCSV(text);
+  if (entries.length === 0) {
+    throw new Error('No valid rows found in CSV');
+  }
+  
+  const machines = await db.machines.orderBy('label').toArray();
+  const machinesByName = new Map(machines.map(m => [m.label.toLowerCase(), m]));
+  
+  // One mapping row per source exercise name, defaulting to a machine with the same name
+  const exercises = new Map();
+  entries.forEach(entry => {
+    if (!exercises.has(entry.exercise)) {
+      const match = machinesByName.get(entry.exercise.toLowerCase());
+      exercises.set(entry.exercise, {
+        name: entry.exercise,
+        muscleGroup: entry.muscleGroup,
+        setCount: 0,
+        cardio: true,
+        target: match ? match.id : 'new'
+      });
+    }
+    const exercise = exercises.get(entry.exercise);
+    exercise.setCount++;
+    // Treat as cardio only if no row has reps
+    if (entry.reps) exercise.cardio = false;
+  });
+  
+  pendingImport = {
+    format,
+    entries,
+    skipped,
+    machines,
+    exercises: Array.from(exercises.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    needsUnit: entries.some(entry => entry.weight != null && !entry.weightUnit),
+    weightUnit: appSettings.unit
+  };
+  
+  renderImportPreview();
+  openModal('import-modal');
+}
+
+function renderImportPreview() {
+  const { format, entries, skipped, machines, exercises, needsUnit, weightUnit } = pendingImport;
+  const dates = entries.map(entry => entry.date).sort();
+  const dayCount = new Set(dates).size;
+  const newCount = exercises.filter(exercise => exercise.target === 'new').length;
+  
+  document.getElementById('import-modal-title').textContent = `Import from ${IMPORT_FORMATS[format].label}`;
+  document.getElementById('import-preview').innerHTML = `
+    <div class="p-3 bg-white/5 rounded-lg text-sm space-y-1">
+      <div>${entries.length} sets over ${dayCount} days</div>
+      <div class="text-white/60">${formatDate(dates[0])} – ${formatDate(dates[dates.length - 1])}</div>
+      <div class="text-white/60">${exercises.length} exercises · ${newCount} new machines will be created</div>
+      ${skipped.length ? `<div class="text-yellow-300">${skipped.length} rows skipped (missing date, exercise or reps)</div>` : ''}
+    </div>
+    ${needsUnit ? `
+      <div>
+        <label class="block text-sm font-medium mb-2">Weights in this file are in</label>
+        <div class="flex space-x-2">
+          ${['kg', 'lb'].map(unit => `
+            <button type="button" onclick="setImportUnit('${unit}')" class="flex-1 p-2 rounded-lg ${unit === weightUnit ? 'btn-primary text-white' : 'glass text-gray-300'}">${unit}</button>
+          `).join('')}
+        </div>
+      </div>
+    ` : ''}
+    <div>
+      <label class="block text-sm font-medium mb-2">Exercises</label>
+      <div class="space-y-2">
+        ${exercises.map((exercise, index) => `
+          <div class="p-3 bg-white/5 rounded-lg">
+            <div class="text-sm font-medium">${exercise.name}</div>
+            <div class="text-xs text-white/60 mb-2">${exercise.setCount} ${exercise.cardio ? 'entries' : 'sets'}${exercise.muscleGroup ? ` · ${exercise.muscleGroup}` : ''}</div>
+            <select onchange="setImportTarget(${index}, this.value)" class="w-full p-2 rounded-lg glass text-white border-0 bg-transparent text-sm">
+              <option value="new" class="text-black" ${exercise.target === 'new' ? 'selected' : ''}>Create new machine</option>
+              ${machines.map(machine => `
+                <option value="${machine.id}" class="text-black" ${exercise.target === machine.id ? 'selected' : ''}>${machine.label}</option>
+              `).join('')}
+            </select>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function setImportUnit(unit) {
+  pendingImport.weightUnit = unit;
+  renderImportPreview();
+}
+
+function setImportTarget(index, value) {
+  pendingImport.exercises[index].target = value === 'new' ? 'new' : parseInt(value);
+  renderImportPreview();
+}
+
+async function confirmCSVImport() {
+  if (!pendingImport) return;
+  
+  const { entries, exercises, weightUnit } = pendingImport;
+  
+  try {
+    await takeSnapshot('Before importing a CSV file');
+    await db.transaction('rw', db.machines, db.sessions, db.sets, async () => {
+      const machineIds = new Map();
+      for (const exercise of exercises) {
+        if (exercise.target !== 'new') {
+          machineIds.set(exercise.name, exercise.target);
+          continue;
+        }
+        const id = await db.machines.add({
+          label: exercise.name,
+          muscleGroup: exercise.muscleGroup || null,
+          exerciseType: exercise.cardio ? 'cardio' : 'strength',
+          loadType: DEFAULT_LOAD_TYPE,
+          imageFull: null,
+          imageThumb: null,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        });
+        machineIds.set(exercise.name, id);
+      }
+      
+      // Keep the order a GymNote export stored; otherwise append after whatever the session
+      // already holds for that machine
+      const nextOrder = new Map();
+      for (const entry of entries) {
+        const machineId = machineIds.get(entry.exercise);
+        const session = await findOrCreateSession(entry.date);
+        const key = `${session.id}:${machineId}`;
+        if (!nextOrder.has(key)) {
+          nextOrder.set(key, await getNextSetOrder(session.id, machineId));
+        }
+        const order = entry.order || nextOrder.get(key);
+        nextOrder.set(key, Math.max(nextOrder.get(key), order + 1));
+        
+        const distanceUnit = entry.distanceUnit || (weightUnit === 'lb' ? 'mi' : 'km');
+        await db.sets.add({
+          sessionId: session.id,
+          machineId,
+          order,
+          weightKg: entry.weight != null ? convertWeight(entry.weight, entry.weightUnit || weightUnit, true) : null,
+          reps: entry.reps ? Math.round(entry.reps) : null,
+          setType: entry.setType || null,
+          rpe: entry.rpe || null,
+          notes: entry.notes || null,
+          durationSec: entry.durationSec || null,
+          distanceKm: entry.distance ? convertDistance(entry.distance, distanceUnit, true) : null,
+          level: entry.level != null ? entry.level : null,
+          calories: entry.calories || null
+        });
+      }
+    });
+    
+    showToast(`Imported ${entries.length} sets`);
+    pendingImport = null;
+    closeModals();
+    loadMachines();
+  } catch (error) {
+    console.error('Failed to import CSV:', error);
+    showToast('Failed to import CSV', 'error');
+  }
+}
+
+async function importData(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  if (file.name.toLowerCase().endsWith('.csv')) {
+    try {
+      await previewCSVImport(await file.text());
+    } catch (error) {
+      console.error('Failed to parse CSV file:', error);
+      showToast(error.message || 'Invalid CSV file', 'error');
+    }
+    event.target.value = ''; // Clear file input
+    return;
+  }
+  
+  try {
+    const text = await file.text();
+    if (isEncryptedBackup(text)) {
+      showPassphraseModal({
+        title: 'Encrypted Backup',
+        message: 'Enter the passphrase this backup was encrypted with.',
+        submitLabel: 'Decrypt'
+      }, async passphrase => {
+        // Validate while the passphrase modal is still open to show the error
+        const backup = upgradeBackup(validateBackup(JSON.parse(await decryptBackup(text, passphrase))));
+        closeModals();
+        try {
+          await previewBackupImport(backup);
+        } catch (error) {
+          console.error('Failed to preview backup:', error);
+          showToast(error.message, 'error');
+        }
+      });
+    } else {
+      await previewBackupImport(upgradeBackup(validateBackup(JSON.parse(text))));
+    }
+  } catch (error) {
+    console.error('Failed to parse import file:', error);
+    showToast(error instanceof SyntaxError ? 'Invalid backup file' : error.message, 'error');
+  }
+  
+  event.target.value = ''; // Clear file input
+}
+
+function validateBackup(data) {
+  if (!data.version || !data.machines || !data.sessions || !data.sets) {
+    throw new Error('Invalid backup file format');
+  }
+  if (!isSupportedBackupVersion(data.version)) {
+    throw new Error('Unsupported backup version');
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new Error('Backup was made by a newer version of GymNote');
+  }
+  return data;
+}
+
+// JSON backup import (files and device transfers): match records already on this device, then merge or replace
+async function previewBackupImport(data) {
+  // Images are decoded up front - awaiting fetch() inside a Dexie transaction would commit it early
+  const machines = await Promise.all(data.machines.map(async machine => ({
+    ...machine,
+    imageFull: typeof machine.imageFull === 'string' ? await dataURLToBlob(machine.imageFull) : machine.imageFull || null,
+    imageThumb: typeof machine.imageThumb === 'string' ? await dataURLToBlob(machine.imageThumb) : machine.imageThumb || null
+  })));
+  const backup = { ...data, machines };
+  
+  pendingBackup = {
+    backup,
+    mode: 'merge',
+    plan: planBackupMerge(backup, await getLocalRecords())
+  };
+  
+  renderBackupPreview();
+  openModal('backup-modal');
+}
+
+async function getLocalRecords() {
+  const [machines, sessions, sets, routines, prs] = await Promise.all(RECORD_TABLES.map(table => db[table].toArray()));
+  return { machines, sessions, sets, routines, prs };
+}
+
+function renderBackupPreview() {
+  const { backup, mode, plan } = pendingBackup;
+  const summary = summarizeBackupPlan(plan);
+  const machineMap = new Map(backup.machines.map(m => [m.id, m]));
+  
+  const confirmBtn = document.getElementById('backup-confirm-btn');
+  confirmBtn.textContent = mode === 'replace' ? 'Replace All' : 'Merge';
+  confirmBtn.classList.toggle('btn-primary', mode === 'merge');
+  confirmBtn.classList.toggle('bg-red-600', mode === 'replace');
+  
+  document.getElementById('backup-preview').innerHTML = `
+    <div class="p-3 bg-white/5 rounded-lg text-sm space-y-1">
+      <div>${backup.machines.length} machines, ${backup.sessions.length} sessions, ${backup.sets.length} sets</div>
+      ${backup.exportedAt ? `<div class="text-white/60">Exported ${formatDate(backup.exportedAt.split('T')[0])}</div>` : ''}
+      ${backup.since ? `<div class="text-white/60">Changes since ${formatDate(backup.since)} only</div>` : ''}
+      ${plan.skippedSets ? `<div class="text-yellow-300">${plan.skippedSets} sets skipped (missing machine or session)</div>` : ''}
+    </div>
+    ${backup.since ? '' : `
+      <div class="flex space-x-2">
+        ${[['merge', 'Merge'], ['replace', 'Replace all']].map(([value, label]) => `
+          <button type="button" onclick="setBackupMode('${value}')" class="flex-1 p-2 rounded-lg ${value === mode ? 'btn-primary text-white' : 'glass text-gray-300'}">${label}</button>
+        `).join('')}
+      </div>
+    `}
+    ${mode === 'replace' ? `
+      <div class="p-3 bg-red-500/10 rounded-lg text-sm text-red-300">
+        All machines, sessions, sets, routines and PRs on this device will be deleted and replaced with the backup.
+      </div>
+    ` : `
+      <div class="p-3 bg-white/5 rounded-lg text-sm space-y-1">
+        <div>New: ${summary.newMachines} machines, ${summary.newSessions} sessions, ${summary.newSets} sets${summary.newRoutines ? `, ${summary.newRoutines} routines` : ''}</div>
+        <div class="text-white/60">Already on this device: ${summary.existingMachines} machines, ${summary.existingSets} sets</div>
+        ${summary.conflicts ? `<div class="text-yellow-300">${summary.conflicts} records differ - choose which version to keep</div>` : ''}
+      </div>
+      ${summary.conflicts ? `
+        <div>
+          <div class="flex items-center justify-between mb-2">
+            <label class="text-sm font-medium">Conflicts</label>
+            <div class="flex space-x-2 text-xs">
+              <button type="button" onclick="resolveAllBackupConflicts('local')" class="px-2 py-1 rounded glass text-gray-300">Keep all mine</button>
+              <button type="button" onclick="resolveAllBackupConflicts('backup')" class="px-2 py-1 rounded glass text-gray-300">Use all from backup</button>
+            </div>
+          </div>
+          <div class="space-y-2">
+            ${plan.conflicts.map((item, index) => renderBackupConflict(item, index, machineMap)).join('')}
+          </div>
+        </div>
+      ` : ''}
+    `}
+  `;
+}
+
+function renderBackupConflict(item, index, machineMap) {
+  const isSet = item.record.sessionId !== undefined;
+  const machine = isSet ? machineMap.get(item.record.machineId) : item.record;
+  const title = isSet
+    ? `${machine.label} · ${formatDate(item.record.date)} · set ${item.record.order}`
+    : item.local.label;
+  const describe = record => isSet
+    ? `${formatDate(record.date)} · ${describeSet(record, machine)}${record.notes ? ` · ${record.notes}` : ''}`
+    : item.differences.map(field => `${field}: ${record[field] ?? '—'}`).join(', ');
+  
+  return `
+    <div class="p-3 bg-white/5 rounded-lg">
+      <div class="text-sm font-medium">${title}</div>
+      <div class="text-xs text-white/60">This device: ${describe(item.local)}</div>
+      <div class="text-xs text-white/60 mb-2">Backup: ${describe(item.record)}</div>
+      <select onchange="setBackupResolution(${index}, this.value)" class="w-full p-2 rounded-lg glass text-white border-0 bg-transparent text-sm">
+        <option value="local" class="text-black" ${item.resolution === 'local' ? 'selected' : ''}>Keep this device's version</option>
+        <option value="backup" class="text-black" ${item.resolution === 'backup' ? 'selected' : ''}>Use the backup's version</option>
+      </select>
+    </div>
+  `;
+}
+
+function setBackupMode(mode) {
+  pendingBackup.mode = mode;
+  renderBackupPreview();
+}
+
+function setBackupResolution(index, resolution) {
+  pendingBackup.plan.conflicts[index].resolution = resolution;
+}
+
+function resolveAllBackupConflicts(resolution) {
+  pendingBackup.plan.conflicts.forEach(item => {
+    item.resolution = resolution;
+  });
+  renderBackupPreview();
+}
+
+async function confirmBackupImport() {
+  if (!pendingBackup) return;
+  
+  const { backup, mode, plan } = pendingBackup;
+  
+  try {
+    await takeSnapshot('Before importing a backup');
+    
+    let summary;
+    if (mode === 'replace') {
+      summary = await replaceAllData(backup);
+    } else {
+      summary = summarizeBackupPlan(plan);
+      await db.transaction('rw', RECORD_TABLES.map(table => db[table]), () => applyBackupPlan(plan));
+    }
+    
+    showToast(summary.existingSets
+      ? `Imported ${summary.newSets} sets (${summary.existingSets} already present)`
+      : `Imported ${summary.newSets} sets`);
+    pendingBackup = null;
+    closeModals();
+    showScreen('machines');
+  } catch (error) {
+    console.error('Failed to import data:', error);
+    showToast('Failed to import data', 'error');
+  }
+}
+
+// Wipes every record table and writes the backup in its place
+async function replaceAllData(backup) {
+  const plan = planBackupMerge(backup, { machines: [], sessions: [], sets: [], routines: [], prs: [] });
+  await db.transaction('rw', RECORD_TABLES.map(table => db[table]), async () => {
+    await clearRecordTables();
+    await applyBackupPlan(plan);
+  });
+  
+  currentMachine = null;
+  currentSession = null;
+  await setActiveWorkout(null);
+  return summarizeBackupPlan(plan);
+}
+
+// Table.clear() skips the deleting hooks, so delete by key to leave sync tombstones behind
+function clearRecordTables() {
+  return Promise.all(RECORD_TABLES.map(async table => {
+    await db[table].bulkDelete(await db[table].toCollection().primaryKeys());
+  }));
+}
+
+// Writes a merge plan inside the caller's transaction, remapping backup IDs to local ones
+async function applyBackupPlan(plan) {
+  const useBackup = item => item.action === 'conflict' && item.resolution === 'backup';
+  
+  const machineIds = new Map();
+  for (const item of plan.machines) {
+    const { id, uid, ...machine } = item.record;
+    if (item.action === 'add') {
+      machineIds.set(id, await db.machines.add({ ...machine, uid }));
+      continue;
+    }
+    machineIds.set(id, item.local.id);
+    if (useBackup(item)) {
+      const changes = { updatedAt: new Date() };
+      MACHINE_MERGE_FIELDS.forEach(field => {
+        changes[field] = machine[field] ?? null;
+      });
+      await db.machines.update(item.local.id, changes);
+    }
+  }
+  
+  const sessionIds = new Map();
+  const sessionsByDate = new Map();
+  for (const item of plan.sessions) {
+    const { id, ...session } = item.record;
+    let localId = item.local ? item.local.id : sessionsByDate.get(session.date);
+    if (!localId) {
+      localId = await db.sessions.add(session);
+    }
+    sessionsByDate.set(session.date, localId);
+    sessionIds.set(id, localId);
+  }
+  
+  const setIds = new Map();
+  for (const item of plan.sets) {
+    const { id, uid, date, ...set } = item.record;
+    const values = { ...set, machineId: machineIds.get(set.machineId), sessionId: sessionIds.get(set.sessionId) };
+    if (item.action === 'add') {
+      setIds.set(id, await db.sets.add({ ...values, uid }));
+      continue;
+    }
+    setIds.set(id, item.local.id);
+    if (useBackup(item)) {
+      await db.sets.update(item.local.id, values);
+    }
+  }
+  
+  for (const item of plan.routines.filter(item => item.action === 'add')) {
+    const { id, ...routine } = item.record;
+    await db.routines.add({
+      ...routine,
+      items: (routine.items || [])
+        .filter(routineItem => machineIds.has(routineItem.machineId))
+        .map(routineItem => ({ ...routineItem, machineId: machineIds.get(routineItem.machineId) }))
+    });
+  }
+  
+  for (const item of plan.prs.filter(item => item.action === 'add')) {
+    const { id, ...pr } = item.record;
+    await db.prs.add({ ...pr, machineId: machineIds.get(pr.machineId), setId: setIds.get(pr.setId) || null });
+  }
+}
+
+// Backup reminders - shown on the machines screen once the last export is older than the chosen number of days
+function getBackupReminderDays() {
+  return appSettings.backupReminderDays === undefined ? DEFAULT_BACKUP_REMINDER_DAYS : appSettings.backupReminderDays;
+}
+
+async function updateBackupReminder() {
+  const reminder = document.getElementById('backup-reminder');
+  const days = getBackupReminderDays();
+  const snoozed = appSettings.backupReminderSnoozedUntil && new Date(appSettings.backupReminderSnoozedUntil) > new Date();
+  if (!days || snoozed) {
+    reminder.classList.add('hidden');
+    return;
+  }
+  
+  const lastBackup = appSettings.lastBackupAt ? new Date(appSettings.lastBackupAt) : null;
+  const ageDays = lastBackup ? Math.floor((Date.now() - lastBackup.getTime()) / DAY_MS) : null;
+  // Nothing worth backing up yet
+  const overdue = (ageDays === null || ageDays >= days) && (await db.sets.count()) > 0;
+  
+  reminder.classList.toggle('hidden', !overdue);
+  document.getElementById('backup-reminder-text').textContent = lastBackup
+    ? `Your last backup was ${ageDays} days ago.`
+    : "You haven't backed up your training log yet.";
+}
+
+async function snoozeBackupReminder() {
+  try {
+    const backupReminderSnoozedUntil = new Date(Date.now() + DAY_MS).toISOString();
+    appSettings.backupReminderSnoozedUntil = backupReminderSnoozedUntil;
+    await db.settings.update('app', { backupReminderSnoozedUntil });
+    updateBackupReminder();
+  } catch (error) {
+    console.error('Failed to snooze backup reminder:', error);
+  }
+}
+
+async function markBackedUp() {
+  const lastBackupAt = new Date().toISOString();
+  appSettings.lastBackupAt = lastBackupAt;
+  await db.settings.update('app', { lastBackupAt });
+  updateBackupSettings();
+  updateBackupReminder();
+}
+
+function updateBackupSettings() {
+  const select = document.getElementById('backup-reminder-days');
+  if (!select) return;
+  
+  const days = getBackupReminderDays();
+  select.value = days ? String(days) : '';
+  document.getElementById('last-backup-text').textContent = appSettings.lastBackupAt
+    ? `Last backup: ${new Date(appSettings.lastBackupAt).toLocaleString()}`
+    : 'No backup exported yet';
+}
+
+async function setBackupReminderDays(value) {
+  const backupReminderDays = value ? parseInt(value) : null;
+  
+  try {
+    appSettings.backupReminderDays = backupReminderDays;
+    await db.settings.update('app', { backupReminderDays });
+    updateBackupSettings();
+    showToast(backupReminderDays ? `Reminding after ${backupReminderDays} days` : 'Backup reminders off');
+  } catch (error) {
+    console.error('Failed to update backup reminder:', error);
+    showToast('Failed to update backup reminder', 'error');
+  }
+}
+
+// Local snapshots - the last few states before destructive operations, kept in IndexedDB
+// Resolves to the new snapshot's ID, or null when there was nothing to save
+async function takeSnapshot(reason) {
+  try {
+    const records = await getLocalRecords();
+    if (!records.machines.length) return null;
+    
+    const snapshotId = await db.snapshots.add({
+      createdAt: new Date(),
+      reason,
+      machineCount: records.machines.length,
+      setCount: records.sets.length,
+      data: { version: BACKUP_VERSION, exportedAt: new Date().toISOString(), ...records }
+    });
+    
+    const expired = await db.snapshots.orderBy('createdAt').reverse().offset(SNAPSHOT_LIMIT).primaryKeys();
+    await db.snapshots.bulkDelete(expired);
+    return snapshotId;
+  } catch (error) {
+    // A full disk shouldn't block an operation the user already confirmed
+    console.error('Failed to take snapshot:', error);
+    return null;
+  }
+}
+
+async function loadSnapshots() {
+  try {
+    const snapshots = await db.snapshots.orderBy('createdAt').reverse().toArray();
+    const list = document.getElementById('snapshot-list');
+    
+    if (snapshots.length === 0) {
+      list.innerHTML = '<p class="text-sm text-white/40">No snapshots yet</p>';
+      return;
+    }
+    
+    list.innerHTML = snapshots.map(snapshot => `
+      <div class="flex items-center justify-between p-3 bg-white/5 rounded-lg">
+        <div class="pr-3">
+          <div class="text-sm font-medium">${snapshot.reason}</div>
+          <div class="text-xs text-white/60">${snapshot.createdAt.toLocaleString()} · ${snapshot.machineCount} machines, ${snapshot.setCount} sets</div>
+        </div>
+        <button onclick="confirmRestoreSnapshot(${snapshot.id})" class="px-3 py-2 rounded-lg glass text-sm">Restore</button>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load snapshots:', error);
+  }
+}
+
+function confirmRestoreSnapshot(snapshotId) {
+  showConfirm(
+    'Replace all current data with this snapshot? Your current data is saved as a new snapshot first.',
+    () => restoreSnapshot(snapshotId)
+  );
+}
+
+async function restoreSnapshot(snapshotId) {
+  try {
+    // Read before taking a new snapshot, which may rotate this one out
+    const snapshot = await db.snapshots.get(snapshotId);
+    await takeSnapshot('Before restoring a snapshot');
+    const summary = await replaceAllData(upgradeBackup(snapshot.data));
     
-    img.onerror = () => reject(new Error('Failed to load image'));
-    img.src = URL.createObjectURL(file);
+    showToast(`Restored ${summary.newMachines} machines and ${summary.newSets} sets`);
+    showScreen(currentScreen);
+  } catch (error) {
+    console.error('Failed to restore snapshot:', error);
+    showToast('Failed to restore snapshot', 'error');
+  }
+}
+
+// Trash - deleted machines and sets with everything needed to put them back, purged after the retention period
+function getTrashRetentionDays() {
+  return appSettings.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// records: { machines, sets, prs } to delete; session dates go along so sets can find their day again
+async function moveToTrash(kind, label, records) {
+  const sessions = await db.sessions.bulkGet(Array.from(new Set(records.sets.map(set => set.sessionId))));
+  const sessionDates = Object.fromEntries(sessions.filter(Boolean).map(session => [session.id, session.date]));
+  
+  return db.transaction('rw', db.machines, db.sets, db.prs, db.trash, async () => {
+    const trashId = await db.trash.add({ kind, label, deletedAt: new Date(), records, sessionDates });
+    await db.prs.bulkDelete(records.prs.map(pr => pr.id));
+    await db.sets.bulkDelete(records.sets.map(set => set.id));
+    await db.machines.bulkDelete(records.machines.map(machine => machine.id));
+    return trashId;
   });
 }
 
-function previewPhoto(e) {
-  const file = e.target.files[0];
-  if (file) {
-    const preview = document.getElementById('photo-preview');
-    const img = document.getElementById('preview-img');
+function showUndoToast(message, trashId) {
+  showToast(message, 'success', UNDO_TOAST_MS, { label: 'Undo', onClick: () => restoreFromTrash(trashId) });
+}
+
+async function restoreFromTrash(trashId) {
+  try {
+    const entry = await db.trash.get(trashId);
+    if (!entry) return;
     
-    // Clean up previous URL
-    if (img.src && img.src.startsWith('blob:')) {
-      URL.revokeObjectURL(img.src);
+    const { machines, sets, prs } = entry.records;
+    const restoredMachineIds = new Set(machines.map(machine => machine.id));
+    const otherMachineIds = Array.from(new Set(sets.map(set => set.machineId))).filter(id => !restoredMachineIds.has(id));
+    if ((await db.machines.bulkGet(otherMachineIds)).some(machine => !machine)) {
+      showToast('Restore its machine from the trash first', 'error');
+      return;
     }
     
-    img.src = URL.createObjectURL(file);
-    preview.classList.remove('hidden');
-  } else {
-    document.getElementById('photo-preview').classList.add('hidden');
+    // A fresh updatedAt lets the restore win over the delete on synced devices
+    const now = new Date();
+    const revive = record => {
+      const restored = { ...record, updatedAt: now };
+      delete restored.updatedBy;
+      return restored;
+    };
+    
+    await db.transaction('rw', db.machines, db.sessions, db.sets, db.prs, db.trash, async () => {
+      // The set's session may have been removed or replaced since; fall back to its date
+      const sessionIds = new Map();
+      for (const sessionId of new Set(sets.map(set => set.sessionId))) {
+        const session = await db.sessions.get(sessionId);
+        const date = entry.sessionDates[sessionId];
+        sessionIds.set(sessionId, session && session.date === date ? sessionId : (await findOrCreateSession(date)).id);
+      }
+      
+      await db.machines.bulkPut(machines.map(revive));
+      await db.sets.bulkPut(sets.map(set => ({ ...revive(set), sessionId: sessionIds.get(set.sessionId) })));
+      await db.prs.bulkPut(prs.map(revive));
+      await db.trash.delete(trashId);
+    });
+    
+    showToast(`Restored ${entry.label}`);
+    if (currentScreen === 'settings') {
+      loadTrash();
+    } else if (currentScreen === 'machines') {
+      loadMachines();
+    } else {
+      refreshCurrentScreen();
+    }
+  } catch (error) {
+    console.error('Failed to restore from trash:', error);
+    showToast('Failed to restore', 'error');
   }
 }
 
-// Confirmation dialogs
-function confirmDeleteMachine() {
+async function purgeExpiredTrash() {
+  try {
+    const cutoff = new Date(Date.now() - getTrashRetentionDays() * DAY_MS);
+    await db.trash.where('deletedAt').below(cutoff).delete();
+  } catch (error) {
+    console.error('Failed to purge trash:', error);
+  }
+}
+
+function updateTrashSettings() {
+  const select = document.getElementById('trash-retention-days');
+  if (select) {
+    select.value = String(getTrashRetentionDays());
+  }
+}
+
+async function setTrashRetentionDays(value) {
+  const trashRetentionDays = parseInt(value);
+  
+  try {
+    appSettings.trashRetentionDays = trashRetentionDays;
+    await db.settings.update('app', { trashRetentionDays });
+    await purgeExpiredTrash();
+    loadTrash();
+    showToast(`Trash kept for ${trashRetentionDays} days`);
+  } catch (error) {
+    console.error('Failed to update trash retention:', error);
+    showToast('Failed to update trash retention', 'error');
+  }
+}
+
+async function loadTrash() {
+  try {
+    const entries = await db.trash.orderBy('deletedAt').reverse().toArray();
+    const list = document.getElementById('trash-list');
+    document.getElementById('empty-trash-btn').classList.toggle('hidden', entries.length === 0);
+    
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="text-sm text-white/40">Trash is empty</p>';
+      return;
+    }
+    
+    list.innerHTML = entries.map(entry => {
+      const daysLeft = Math.max(0, Math.ceil((entry.deletedAt.getTime() + getTrashRetentionDays() * DAY_MS - Date.now()) / DAY_MS));
+      const contents = entry.kind === 'machine' ? `Machine and ${entry.records.sets.length} sets` : 'Set';
+      return `
+        <div class="flex items-center justify-between p-3 bg-white/5 rounded-lg">
+          <div class="pr-3">
+            <div class="text-sm font-medium">${entry.label}</div>
+            <div class="text-xs text-white/60">${contents} · deleted ${entry.deletedAt.toLocaleDateString()} · purged in ${daysLeft} days</div>
+          </div>
+          <div class="flex space-x-2">
+            <button onclick="restoreFromTrash(${entry.id})" class="px-3 py-2 rounded-lg glass text-sm">Restore</button>
+            <button onclick="confirmPurgeTrash(${entry.id})" class="px-3 py-2 rounded-lg glass text-sm text-red-400">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load trash:', error);
+  }
+}
+
+function confirmPurgeTrash(trashId) {
   showConfirm(
-    'Are you sure you want to delete this machine? This will also delete all associated workout sets.',
+    'Delete this for good? It can no longer be restored.',
     async () => {
       try {
-        await db.sets.where('machineId').equals(currentMachine.id).delete();
-        await db.machines.delete(currentMachine.id);
-        showToast('Machine deleted successfully');
-        showScreen('machines');
+        await db.trash.delete(trashId);
+        loadTrash();
       } catch (error) {
-        console.error('Failed to delete machine:', error);
-        showToast('Failed to delete machine', 'error');
+        console.error('Failed to purge trash:', error);
+        showToast('Failed to delete', 'error');
       }
     }
   );
 }
 
-function confirmDeleteSet(setId) {
+function confirmEmptyTrash() {
   showConfirm(
-    'Are you sure you want to delete this set?',
+    'Delete everything in the trash for good?',
     async () => {
       try {
-        await db.sets.delete(setId);
-        showToast('Set deleted successfully');
-        loadMachineDetail();
+        await db.trash.clear();
+        showToast('Trash emptied');
+        loadTrash();
       } catch (error) {
-        console.error('Failed to delete set:', error);
-        showToast('Failed to delete set', 'error');
+        console.error('Failed to empty trash:', error);
+        showToast('Failed to empty trash', 'error');
       }
     }
   );
 }
 
-function showConfirm(message, onConfirm) {
-  document.getElementById('confirm-message').textContent = message;
-  document.getElementById('confirm-btn').onclick = () => {
-    closeModals();
-    onConfirm();
-  };
-  document.getElementById('confirm-modal').classList.remove('hidden');
-  document.body.classList.add('overflow-hidden');
+// Device-to-device transfer: animated QR codes, or a shared file as the fallback
+function showTransferModal() {
+  const since = new Date();
+  since.setDate(since.getDate() - 30);
+  document.getElementById('transfer-since').value = toDateKey(since);
+  document.getElementById('transfer-qr').classList.add('hidden');
+  setTransferScope('all');
+  
+  openModal('transfer-modal');
 }
 
-// Settings management
-function updateUnitButtons() {
-  const kgBtn = document.getElementById('unit-kg');
-  const lbBtn = document.getElementById('unit-lb');
+function setTransferScope(scope) {
+  ['all', 'since'].forEach(value => {
+    const button = document.getElementById(`transfer-scope-${value}`);
+    button.classList.toggle('btn-primary', value === scope);
+    button.classList.toggle('text-white', value === scope);
+    button.classList.toggle('glass', value !== scope);
+    button.classList.toggle('text-gray-300', value !== scope);
+  });
+  document.getElementById('transfer-since').classList.toggle('hidden', scope !== 'since');
+  document.getElementById('transfer-modal').dataset.scope = scope;
+}
+
+function getTransferSince() {
+  if (document.getElementById('transfer-modal').dataset.scope !== 'since') return null;
   
-  if (appSettings.unit === 'kg') {
-    kgBtn.classList.add('btn-primary', 'text-white');
-    kgBtn.classList.remove('glass', 'text-gray-300');
-    lbBtn.classList.add('glass', 'text-gray-300');
-    lbBtn.classList.remove('btn-primary', 'text-white');
-  } else {
-    lbBtn.classList.add('btn-primary', 'text-white');
-    lbBtn.classList.remove('glass', 'text-gray-300');
-    kgBtn.classList.add('glass', 'text-gray-300');
-    kgBtn.classList.remove('btn-primary', 'text-white');
+  const since = document.getElementById('transfer-since').value;
+  if (!since) {
+    throw new Error('Pick the date to send changes from');
   }
+  return since;
 }
 
-function updateWeightUnits() {
-  const weightUnit = document.getElementById('weight-unit');
-  if (weightUnit) {
-    weightUnit.textContent = appSettings.unit;
+async function startTransferQR() {
+  try {
+    // Photos would take hundreds of codes; they only travel with a shared file
+    const backup = await buildBackup({ since: getTransferSince(), includePhotos: false });
+    const frames = await encodeTransferFrames(JSON.stringify(backup));
+    
+    stopTransferAnimation();
+    document.getElementById('transfer-qr').classList.remove('hidden');
+    const canvas = document.getElementById('transfer-canvas');
+    const progress = document.getElementById('transfer-progress');
+    let index = 0;
+    const showFrame = () => {
+      drawQRCode(canvas, frames[index]);
+      progress.textContent = `Code ${index + 1} of ${frames.length} · ${backup.sets.length} sets`;
+      index = (index + 1) % frames.length;
+    };
+    showFrame();
+    transferAnimation = setInterval(showFrame, TRANSFER_FRAME_MS);
+  } catch (error) {
+    console.error('Failed to create transfer codes:', error);
+    showToast(error.message || 'Failed to create transfer codes', 'error');
   }
 }
 
-async function setUnit(unit) {
+function stopTransferAnimation() {
+  clearInterval(transferAnimation);
+  transferAnimation = null;
+}
+
+async function shareTransferFile() {
   try {
-    appSettings.unit = unit;
-    await db.settings.update('app', { unit });
-    updateUnitButtons();
-    updateWeightUnits();
-    showToast(`Units changed to ${unit.toUpperCase()}`);
+    const backup = await buildBackup({ since: getTransferSince() });
+    const file = new File(
+      [JSON.stringify(backup)],
+      `gymnote-transfer-${new Date().toISOString().split('T')[0]}.json`,
+      { type: 'application/json' }
+    );
     
-    // Refresh current screen to show updated units
-    if (currentScreen === 'machine-detail') {
-      loadMachineDetail();
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+      await navigator.share({ files: [file], title: 'GymNote backup' });
+    } else {
+      downloadBlob(file, file.name);
+      showToast('Sharing unavailable - file downloaded instead');
     }
   } catch (error) {
-    console.error('Failed to update unit setting:', error);
-    showToast('Failed to update units', 'error');
+    // Closing the share sheet isn't a failure
+    if (error.name === 'AbortError') return;
+    console.error('Failed to share transfer file:', error);
+    showToast(error.message || 'Failed to share file', 'error');
   }
 }
 
-// Data management
-async function exportData() {
+async function showReceiveModal() {
+  const status = document.getElementById('receive-status');
+  status.textContent = 'Point the camera at the codes on the other device';
+  openModal('receive-modal');
+  
   try {
-    const [machines, sessions, sets, settings] = await Promise.all([
-      db.machines.toArray(),
-      db.sessions.toArray(),
-      db.sets.toArray(),
-      db.settings.toArray()
-    ]);
-    
-    // Convert image blobs to data URLs for export
-    const machinesWithImages = await Promise.all(
-      machines.map(async machine => {
-        const exported = { ...machine };
-        
-        if (machine.imageFull) {
-          exported.imageFull = await blobToDataURL(machine.imageFull);
-        }
-        if (machine.imageThumb) {
-          exported.imageThumb = await blobToDataURL(machine.imageThumb);
-        }
-        
-        return exported;
-      })
-    );
-    
-    const exportData = {
-      version: 2,
-      exportedAt: new Date().toISOString(),
-      machines: machinesWithImages,
-      sessions,
-      sets,
-      settings
-    };
-    
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `gymnote-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    
-    URL.revokeObjectURL(url);
-    
-    // Update last backup time
-    await db.settings.update('app', { lastBackupAt: new Date().toISOString() });
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    const video = document.getElementById('receive-video');
+    video.srcObject = stream;
+    await video.play();
     
-    showToast('Data exported successfully');
+    const detect = await getQRDetector();
+    transferScan = { stream, id: null, encoding: null, total: 0, chunks: new Map() };
+    scanTransferFrame(video, detect);
   } catch (error) {
-    console.error('Failed to export data:', error);
-    showToast('Failed to export data', 'error');
+    console.error('Failed to start camera:', error);
+    status.textContent = 'Camera unavailable. Share the transfer as a file instead and open it with Import Data.';
   }
 }
 
-async function importData(event) {
-  const file = event.target.files[0];
-  if (!file) return;
+// BarcodeDetector where the browser has it, otherwise the vendored jsQR (loaded on first use)
+async function getQRDetector() {
+  if ('BarcodeDetector' in window && (await BarcodeDetector.getSupportedFormats()).includes('qr_code')) {
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    return async video => (await detector.detect(video)).map(code => code.rawValue);
+  }
+  
+  if (typeof jsQR === 'undefined') {
+    await loadScript('./assets/jsQR.min.js');
+  }
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  return async video => {
+    // Downscaled - full camera resolution makes jsQR too slow to keep up with the animation
+    const scale = Math.min(1, 640 / video.videoWidth);
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const code = jsQR(context.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height, {
+      inversionAttempts: 'dontInvert'
+    });
+    return code ? [code.data] : [];
+  };
+}
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+async function scanTransferFrame(video, detect) {
+  const scan = transferScan;
+  if (!scan) return;
   
   try {
-    const text = await file.text();
-    const data = JSON.parse(text);
-    
-    if (!data.version || !data.machines || !data.sessions || !data.sets) {
-      throw new Error('Invalid backup file format');
-    }
-    
-    showConfirm(
-      `Import ${data.machines.length} machines, ${data.sessions.length} sessions, and ${data.sets.length} sets? This will merge with existing data.`,
-      async () => {
-        try {
-          // Create ID mapping for remapping foreign keys
-          const machineIdMap = new Map();
-          const sessionIdMap = new Map();
-          
-          // Import machines with new IDs
-          for (const machine of data.machines) {
-            const machineToImport = { ...machine };
-            
-            // Convert data URLs back to blobs
-            if (machine.imageFull && typeof machine.imageFull === 'string') {
-              machineToImport.imageFull = await dataURLToBlob(machine.imageFull);
-            }
-            if (machine.imageThumb && typeof machine.imageThumb === 'string') {
-              machineToImport.imageThumb = await dataURLToBlob(machine.imageThumb);
-            }
-            
-            delete machineToImport.id; // Let DB assign new ID
-            const newId = await db.machines.add(machineToImport);
-            machineIdMap.set(machine.id, newId);
-          }
-          
-          // Import sessions with new IDs
-          for (const session of data.sessions) {
-            const sessionToImport = { ...session };
-            delete sessionToImport.id; // Let DB assign new ID
-            const newId = await db.sessions.add(sessionToImport);
-            sessionIdMap.set(session.id, newId);
-          }
-          
-          // Import sets with remapped IDs
-          for (const set of data.sets) {
-            const setToImport = { ...set };
-            setToImport.machineId = machineIdMap.get(set.machineId);
-            setToImport.sessionId = sessionIdMap.get(set.sessionId);
-            
-            if (setToImport.machineId && setToImport.sessionId) {
-              delete setToImport.id; // Let DB assign new ID
-              await db.sets.add(setToImport);
-            }
-          }
-          
-          showToast('Data imported successfully');
-          loadMachines();
-          event.target.value = ''; // Clear file input
-        } catch (error) {
-          console.error('Failed to import data:', error);
-          showToast('Failed to import data', 'error');
+    if (video.readyState >= video.HAVE_CURRENT_DATA) {
+      for (const text of await detect(video)) {
+        const frame = parseTransferFrame(text);
+        if (!frame) continue;
+        
+        // The sender started over with a new payload
+        if (frame.id !== scan.id) {
+          Object.assign(scan, { id: frame.id, encoding: frame.encoding, total: frame.total });
+          scan.chunks.clear();
         }
+        scan.chunks.set(frame.index, frame.data);
       }
-    );
+      
+      if (scan.total) {
+        document.getElementById('receive-status').textContent = `${scan.chunks.size} of ${scan.total} codes received`;
+      }
+      if (scan.total && scan.chunks.size === scan.total) {
+        await finishTransferScan(scan);
+        return;
+      }
+    }
   } catch (error) {
-    console.error('Failed to parse import file:', error);
-    showToast('Invalid backup file', 'error');
+    console.error('QR scan failed:', error);
   }
   
-  event.target.value = ''; // Clear file input
+  requestAnimationFrame(() => scanTransferFrame(video, detect));
+}
+
+async function finishTransferScan(scan) {
+  stopTransferScan();
+  
+  try {
+    const chunks = Array.from({ length: scan.total }, (_, index) => scan.chunks.get(index + 1));
+    const data = JSON.parse(await decodeTransferPayload(scan.encoding, chunks));
+    closeModals();
+    await previewBackupImport(upgradeBackup(validateBackup(data)));
+  } catch (error) {
+    console.error('Failed to read transfer:', error);
+    closeModals();
+    showToast('Transfer could not be read - try again', 'error');
+  }
+}
+
+function stopTransferScan() {
+  if (!transferScan) return;
+  
+  transferScan.stream.getTracks().forEach(track => track.stop());
+  document.getElementById('receive-video').srcObject = null;
+  transferScan = null;
 }
 
 function clearAllData() {
   showConfirm(
-    'Are you sure you want to clear ALL data? This cannot be undone!',
+    'Are you sure you want to clear ALL data? Only the snapshot taken first can bring it back.',
     async () => {
       try {
-        await Promise.all([
-          db.machines.clear(),
-          db.sessions.clear(),
-          db.sets.clear()
-        ]);
+        const snapshotId = await takeSnapshot('Before clearing all data');
+        await db.transaction('rw', RECORD_TABLES.map(table => db[table]), clearRecordTables);
         
-        showToast('All data cleared successfully');
+        if (snapshotId) {
+          showToast('All data cleared', 'success', UNDO_TOAST_MS, { label: 'Undo', onClick: () => restoreSnapshot(snapshotId) });
+        } else {
+          showToast('All data cleared successfully');
+        }
         currentMachine = null;
+        currentSession = null;
+        await setActiveWorkout(null);
         showScreen('machines');
       } catch (error) {
         console.error('Failed to clear data:', error);
@@ -1208,6 +5314,59 @@ function clearAllData() {
 }
 
 // Utility functions
+function calculateE1RM(set, machine) {
+  return estimateOneRepMax(getSetLoadKg(set, machine), set.reps, set.rpe, appSettings.e1rmFormula);
+}
+
+function isCardioMachine(machine) {
+  return Boolean(machine && machine.exerciseType === 'cardio');
+}
+
+function getLoadType(machine) {
+  return machine && LOAD_TYPES[machine.loadType] ? machine.loadType : DEFAULT_LOAD_TYPE;
+}
+
+// Load actually moved, using the bodyweight recorded with the set when there is one
+function getSetLoadKg(set, machine) {
+  const bodyweightKg = set.bodyweightKg != null ? set.bodyweightKg : appSettings.bodyweightKg;
+  return effectiveLoad(set.weightKg, getLoadType(machine), bodyweightKg);
+}
+
+function toLoadEntry(set, machine) {
+  return { ...set, weightKg: getSetLoadKg(set, machine) };
+}
+
+// Warm-ups stay out of stats, records, charts and volume unless the setting counts them
+function isCountedSet(set) {
+  return appSettings.excludeWarmups === false || getSetType(set) !== 'warmup';
+}
+
+// Plain-text one-liner for a set, e.g. "80 kg × 8 @ RPE 8" or "30:00 · 5.00 km"
+function describeSet(set, machine) {
+  if (isCardioMachine(machine)) {
+    const distanceUnit = getDistanceUnit();
+    const distance = set.distanceKm ? ` · ${convertDistance(set.distanceKm, distanceUnit).toFixed(2)} ${distanceUnit}` : '';
+    return `${formatDuration(set.durationSec)}${distance}`;
+  }
+  return `${formatSetWeight(set, machine)} × ${set.reps}${set.rpe ? ` @ RPE ${set.rpe}` : ''}`;
+}
+
+function formatSetWeight(set, machine) {
+  const unit = appSettings.unit;
+  const weight = convertWeight(set.weightKg || 0, unit).toFixed(1);
+  
+  switch (getLoadType(machine)) {
+    case 'bodyweight':
+      return 'BW';
+    case 'bodyweight-plus':
+      return set.weightKg ? `BW + ${weight} ${unit}` : 'BW';
+    case 'assisted':
+      return `BW − ${weight} ${unit}`;
+    default:
+      return `${weight} ${unit}`;
+  }
+}
+
 function convertWeight(weight, unit, toKg = false) {
   if (toKg) {
     // Convert from display unit to kg
@@ -1218,6 +5377,43 @@ function convertWeight(weight, unit, toKg = false) {
   }
 }
 
+// Distances follow the weight unit: km with kg, miles with lb
+function getDistanceUnit() {
+  return appSettings.unit === 'lb' ? 'mi' : 'km';
+}
+
+function convertDistance(distance, unit, toKm = false) {
+  if (toKm) {
+    return unit === 'mi' ? distance * KM_PER_MILE : distance;
+  }
+  return unit === 'mi' ? distance / KM_PER_MILE : distance;
+}
+
+// Accepts "45", "45.5" (minutes), "mm:ss" or "h:mm:ss"
+function parseDuration(value) {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return null;
+  
+  if (!trimmed.includes(':')) {
+    const minutes = parseFloat(trimmed);
+    return minutes > 0 ? Math.round(minutes * 60) : null;
+  }
+  
+  const parts = trimmed.split(':').map(part => parseInt(part));
+  if (parts.length > 3 || parts.some(part => isNaN(part) || part < 0)) return null;
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds > 0 ? seconds : null;
+}
+
+function formatDuration(totalSeconds) {
+  const rounded = Math.round(totalSeconds || 0);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = rounded % 60;
+  const mmss = `${minutes.toString().padStart(hours ? 2 : 1, '0')}:${seconds.toString().padStart(2, '0')}`;
+  return hours ? `${hours}:${mmss}` : mmss;
+}
+
 function formatDate(dateString) {
   const date = new Date(dateString);
   return date.toLocaleDateString('en-US', { 
@@ -1227,6 +5423,90 @@ function formatDate(dateString) {
   });
 }
 
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// YYYY-MM-DD as-is; anything else Date can parse is converted using the local calendar day
+function normalizeDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  
+  const parsed = new Date(value);
+  if (!value || isNaN(parsed.getTime())) return null;
+  
+  const month = (parsed.getMonth() + 1).toString().padStart(2, '0');
+  const day = parsed.getDate().toString().padStart(2, '0');
+  return `${parsed.getFullYear()}-${month}-${day}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  
+  URL.revokeObjectURL(url);
+}
+
+// CSV helpers (RFC 4180 quoting)
+// Text cells starting like a formula get a leading ' so spreadsheets don't run them
+function toCSV(rows) {
+  return rows.map(row => row.map(value => {
+    let text = value == null ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n');
+}
+
+function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
 async function blobToDataURL(blob) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -1241,15 +5521,27 @@ async function dataURLToBlob(dataURL) {
   return await response.blob();
 }
 
-function showToast(message, type = 'success') {
+// action: { label, onClick } adds a button such as Undo
+function showToast(message, type = 'success', duration = 1500, action = null) {
   const toast = document.getElementById('toast');
   toast.textContent = message;
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'ml-3 font-semibold text-purple-400';
+    button.textContent = action.label;
+    button.onclick = () => {
+      toast.classList.remove('show');
+      action.onClick();
+    };
+    toast.appendChild(button);
+  }
   toast.classList.add('show');
   
-  // Auto dismiss after 1.5 seconds
-  setTimeout(() => {
+  // Auto dismiss (1.5 seconds by default); a newer toast restarts the clock
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => {
     toast.classList.remove('show');
-  }, 1500);
+  }, duration);
 }
 
 // Button press animation
@@ -0,0 +1,287 @@
+// Backups - stable record identities and merge planning for JSON backup imports
+//
+// Machines, sessions, sets, routines and PRs carry a `uid` that survives export and import,
+// so importing the same backup twice (or onto a device that shares history) adds nothing.
+// Records without a uid (older backups) are matched by natural key instead: machine label,
+// session date, and a set's date, machine, order and values.
+
+// Backup format history: 2 - machines, sessions and sets; 3 - uids, routines and PRs;
+// 4 - one session per date, createdAt/updatedAt on sessions and sets
+const BACKUP_VERSION = 4;
+const MIN_BACKUP_VERSION = 2;
+
+const BACKUP_MIGRATIONS = {
+  3: backup => ({ ...backup, routines: backup.routines || [], prs: backup.prs || [] }),
+  4: backup => {
+    const { sessions, sets } = foldDuplicateSessions(backup.sessions, backup.sets);
+    const dates = new Map(sessions.map(session => [session.id, session.date]));
+    return {
+      ...backup,
+      sessions: sessions.map(session => withTimestamps(session, session.date)),
+      sets: sets.map(set => withTimestamps(set, dates.get(set.sessionId)))
+    };
+  }
+};
+
+// Version 2 is the oldest format with a migration path; anything that isn't a whole number
+// would skip or break the migration steps
+function isSupportedBackupVersion(version) {
+  return Number.isInteger(version) && version >= MIN_BACKUP_VERSION;
+}
+
+// Brings an older backup up to BACKUP_VERSION one step at a time
+function upgradeBackup(backup) {
+  if (!isSupportedBackupVersion(backup.version)) {
+    throw new Error('Unsupported backup version');
+  }
+  let upgraded = backup;
+  for (let version = backup.version + 1; version <= BACKUP_VERSION; version++) {
+    upgraded = { ...BACKUP_MIGRATIONS[version](upgraded), version };
+  }
+
+  // JSON turns Dates into strings
+  RECORD_TABLES.forEach(table => {
+    upgraded[table] = upgraded[table].map(record => ({
+      ...record,
+      createdAt: record.createdAt ? new Date(record.createdAt) : record.createdAt,
+      updatedAt: record.updatedAt ? new Date(record.updatedAt) : record.updatedAt
+    }));
+  });
+  return upgraded;
+}
+
+// Records from before timestamps existed date from their session's day
+function withTimestamps(record, date) {
+  const fallback = date ? `${date}T00:00:00` : null;
+  return { ...record, createdAt: record.createdAt || fallback, updatedAt: record.updatedAt || record.createdAt || fallback };
+}
+
+// Older versions could create two sessions for one date. Later duplicates fold into the first,
+// their sets appended after the first session's sets for the same machine.
+function foldDuplicateSessions(sessions, sets) {
+  const firstByDate = new Map();
+  const mergedInto = new Map();
+  [...sessions].sort((a, b) => a.id - b.id).forEach(session => {
+    const first = firstByDate.get(session.date);
+    if (first) {
+      mergedInto.set(session.id, first.id);
+    } else {
+      firstByDate.set(session.date, session);
+    }
+  });
+
+  const lastOrder = new Map();
+  const orderKey = (sessionId, machineId) => `${sessionId}|${machineId}`;
+  sets.filter(set => !mergedInto.has(set.sessionId)).forEach(set => {
+    const key = orderKey(set.sessionId, set.machineId);
+    lastOrder.set(key, Math.max(lastOrder.get(key) || 0, set.order || 0));
+  });
+
+  const moved = new Map();
+  sets
+    .filter(set => mergedInto.has(set.sessionId))
+    .sort((a, b) => a.sessionId - b.sessionId || a.order - b.order)
+    .forEach(set => {
+      const sessionId = mergedInto.get(set.sessionId);
+      const key = orderKey(sessionId, set.machineId);
+      const order = (lastOrder.get(key) || 0) + 1;
+      lastOrder.set(key, order);
+      moved.set(set, { ...set, sessionId, order });
+    });
+
+  return {
+    sessions: sessions.filter(session => !mergedInto.has(session.id)),
+    sets: sets.map(set => moved.get(set) || set),
+    movedSets: Array.from(moved.values()),
+    removedSessionIds: Array.from(mergedInto.keys())
+  };
+}
+
+const RECORD_TABLES = ['machines', 'sessions', 'sets', 'routines', 'prs'];
+
+// Fields that must agree for a matched record to count as already present
+const MACHINE_MERGE_FIELDS = ['label', 'muscleGroup', 'exerciseType', 'loadType', 'restSeconds'];
+const SET_MERGE_FIELDS = ['date', 'order', 'weightKg', 'reps', 'setType', 'groupId', 'rpe', 'notes', 'durationSec', 'distanceKm', 'level', 'calories'];
+
+function generateUid() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+
+  // randomUUID needs a secure context; fall back to a random v4-shaped id
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+  });
+}
+
+// backup: parsed backup file; local: { machines, sessions, sets, routines, prs } on this device.
+// Every record gets an action: 'add', 'existing' (already here, skipped) or 'conflict'
+// (matched but different - `resolution` picks which side wins, defaulting to this device).
+function planBackupMerge(backup, local) {
+  const machinesByUid = indexByUid(local.machines);
+  const machinesByLabel = new Map(local.machines.map(machine => [normalizeLabel(machine.label), machine]));
+  const machines = backup.machines.map(machine => {
+    const match = machinesByUid.get(machine.uid) || machinesByLabel.get(normalizeLabel(machine.label));
+    return planRecord(machine, match, MACHINE_MERGE_FIELDS);
+  });
+  const machineIds = new Map(machines.filter(item => item.local).map(item => [item.record.id, item.local.id]));
+
+  // One session per date: a backup session joins whatever session this device has for that day
+  const sessionsByUid = indexByUid(local.sessions);
+  const sessionsByDate = new Map(local.sessions.map(session => [session.date, session]));
+  const sessions = backup.sessions.map(session => {
+    const match = sessionsByUid.get(session.uid) || sessionsByDate.get(session.date);
+    return planRecord(session, match, []);
+  });
+
+  const localDates = new Map(local.sessions.map(session => [session.id, session.date]));
+  const backupDates = new Map(backup.sessions.map(session => [session.id, session.date]));
+  const backupMachineIds = new Set(backup.machines.map(machine => machine.id));
+  const setsByUid = indexByUid(local.sets);
+  const setsByKey = new Map(local.sets.map(set => [setKey(set, localDates.get(set.sessionId), set.machineId), set]));
+
+  // Sets pointing at a machine or session missing from the backup can't be placed
+  const placeable = backup.sets.filter(set => backupDates.has(set.sessionId) && backupMachineIds.has(set.machineId));
+  const sets = placeable.map(set => {
+    const record = { ...set, date: backupDates.get(set.sessionId) };
+    const machineId = machineIds.get(set.machineId);
+    const match = setsByUid.get(set.uid) ||
+      (machineId !== undefined ? setsByKey.get(setKey(record, record.date, machineId)) : undefined);
+    return planRecord(record, match && { ...match, date: localDates.get(match.sessionId) }, SET_MERGE_FIELDS);
+  });
+
+  const routinesByUid = indexByUid(local.routines);
+  const routinesByName = new Map(local.routines.map(routine => [normalizeLabel(routine.name), routine]));
+  const routines = (backup.routines || []).map(routine => {
+    const match = routinesByUid.get(routine.uid) || routinesByName.get(normalizeLabel(routine.name));
+    return planRecord(routine, match, []);
+  });
+
+  const prsByUid = indexByUid(local.prs);
+  const prsByKey = new Map(local.prs.map(pr => [prKey(pr, pr.machineId), pr]));
+  const prs = (backup.prs || [])
+    .filter(pr => backupMachineIds.has(pr.machineId))
+    .map(pr => {
+      const machineId = machineIds.get(pr.machineId);
+      const match = prsByUid.get(pr.uid) || (machineId !== undefined ? prsByKey.get(prKey(pr, machineId)) : undefined);
+      return planRecord(pr, match, []);
+    });
+
+  return {
+    machines,
+    sessions,
+    sets,
+    routines,
+    prs,
+    skippedSets: backup.sets.length - placeable.length,
+    conflicts: [...machines, ...sets].filter(item => item.action === 'conflict')
+  };
+}
+
+function planRecord(record, match, fields) {
+  if (!match) {
+    return { record, local: null, action: 'add' };
+  }
+  const differences = fields.filter(field => (record[field] ?? null) !== (match[field] ?? null));
+  return differences.length
+    ? { record, local: match, action: 'conflict', differences, resolution: 'local' }
+    : { record, local: match, action: 'existing' };
+}
+
+function indexByUid(records) {
+  return new Map(records.filter(record => record.uid).map(record => [record.uid, record]));
+}
+
+function normalizeLabel(label) {
+  return (label || '').trim().toLowerCase();
+}
+
+function setKey(set, date, machineId) {
+  return [date, machineId, set.order, set.weightKg ?? null, set.reps ?? null, set.durationSec ?? null].join('|');
+}
+
+function prKey(pr, machineId) {
+  return [machineId, pr.date, pr.type, pr.value].join('|');
+}
+
+// Counts per action for the import summary; sessions count once per date
+function summarizeBackupPlan(plan) {
+  const count = (items, action) => items.filter(item => item.action === action).length;
+  const newDates = new Set(plan.sessions.filter(item => item.action === 'add').map(item => item.record.date));
+  return {
+    newMachines: count(plan.machines, 'add'),
+    newSessions: newDates.size,
+    newSets: count(plan.sets, 'add'),
+    newRoutines: count(plan.routines, 'add'),
+    existingMachines: count(plan.machines, 'existing'),
+    existingSets: count(plan.sets, 'existing'),
+    conflicts: plan.conflicts.length
+  };
+}
+
+// Encrypted backups - the backup JSON sealed with AES-GCM under a PBKDF2-derived key.
+// The file is a small JSON envelope so it can be recognised (and its KDF settings read) before decrypting.
+const ENCRYPTED_BACKUP_FORMAT = 'gymnote-encrypted-backup';
+const ENCRYPTED_BACKUP_EXTENSION = '.gymnote';
+const PBKDF2_ITERATIONS = 600000;
+// Imports accept up to this many times the default, leaving room to raise it later
+const PBKDF2_MAX_FACTOR = 10;
+
+async function encryptBackup(text, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+  return JSON.stringify({
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(new Uint8Array(ciphertext))
+  });
+}
+
+function isEncryptedBackup(text) {
+  try {
+    return JSON.parse(text).format === ENCRYPTED_BACKUP_FORMAT;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function decryptBackup(text, passphrase) {
+  const envelope = JSON.parse(text);
+  if (envelope.version !== 1 || envelope.kdf.name !== 'PBKDF2' || envelope.cipher.name !== 'AES-GCM') {
+    throw new Error('Unsupported encrypted backup');
+  }
+
+  // The count comes from the file; an absurd one would hang the page inside PBKDF2
+  const iterations = envelope.kdf.iterations;
+  if (!Number.isInteger(iterations) || iterations < PBKDF2_ITERATIONS || iterations > PBKDF2_ITERATIONS * PBKDF2_MAX_FACTOR) {
+    throw new Error('Unsupported encrypted backup');
+  }
+
+  const key = await deriveBackupKey(passphrase, base64ToBytes(envelope.kdf.salt), iterations);
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) },
+      key,
+      base64ToBytes(envelope.data)
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    // GCM authentication fails the same way for a wrong key and a tampered file
+    throw new Error('Wrong passphrase, or the file is damaged');
+  }
+}
+
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
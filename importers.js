@@ -0,0 +1,184 @@
+// Training log importers - turn CSV exports from GymNote and other trackers into plain entries
+//
+// Every parser returns entries shaped like:
+//   { date, exercise, muscleGroup, weight, weightUnit, reps, setType, rpe, notes,
+//     durationSec, distance, distanceUnit }
+// setType is a SET_TYPES key, or null when the file doesn't say. GymNote files also carry `order`.
+// weightUnit/distanceUnit are null when the file doesn't say; the user picks them in the preview.
+
+const IMPORT_FORMATS = {
+  gymnote: { label: 'GymNote CSV', detect: header => header.includes('machine') && header.includes('date') },
+  hevy: { label: 'Hevy', detect: header => header.includes('exercise_title') && header.includes('start_time') },
+  strong: { label: 'Strong', detect: header => header.includes('exercise name') && header.includes('set order') },
+  fitnotes: { label: 'FitNotes', detect: header => header.includes('exercise') && header.includes('category') }
+};
+
+// Hevy writes normal/warmup/dropset/failure, Strong puts W/D/F in the set order, GymNote the label
+const SET_TYPE_ALIASES = {
+  normal: 'working', working: 'working',
+  w: 'warmup', warmup: 'warmup', 'warm-up': 'warmup',
+  d: 'drop', dropset: 'drop', 'drop set': 'drop',
+  f: 'failure', failure: 'failure', 'to failure': 'failure',
+  amrap: 'amrap'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function parseTrainingLogCSV(text) {
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+  // Strong uses semicolons in some locales
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = parseCSV(text, delimiter).filter(row => row.some(value => value.trim()));
+  if (rows.length < 2) {
+    throw new Error('CSV file has no data rows');
+  }
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const format = Object.keys(IMPORT_FORMATS).find(key => IMPORT_FORMATS[key].detect(header));
+  if (!format) {
+    throw new Error('Unrecognised CSV format (expected GymNote, Strong, Hevy or FitNotes)');
+  }
+
+  const records = rows.slice(1).map(row => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = row[index] !== undefined ? row[index].trim() : '';
+    });
+    return record;
+  });
+
+  const parser = { gymnote: parseGymNoteRecord, hevy: parseHevyRecord, strong: parseStrongRecord, fitnotes: parseFitNotesRecord }[format];
+  const entries = [];
+  const skipped = [];
+  records.forEach((record, index) => {
+    const entry = parser(record, header);
+    if (entry && entry.date && entry.exercise && (entry.reps || entry.durationSec)) {
+      entries.push(entry);
+    } else {
+      skipped.push(index + 2);
+    }
+  });
+
+  return { format, entries, skipped };
+}
+
+// Columns like "Weight (lb)" - find by name with or without a unit suffix
+function findColumn(header, name) {
+  return header.find(cell => cell === name || cell.startsWith(`${name} (`)) || null;
+}
+
+function unitFromColumn(column, units) {
+  if (!column) return null;
+  return Object.keys(units).find(unit => units[unit].some(suffix => column.includes(`(${suffix}`))) || null;
+}
+
+// Undo the ' that GymNote's export puts in front of formula-like text
+function parseText(value) {
+  return (value || '').replace(/^'(?=[=+\-@\t\r])/, '');
+}
+
+function parseSetType(value) {
+  return SET_TYPE_ALIASES[(value || '').trim().toLowerCase()] || null;
+}
+
+function parseNumber(value) {
+  const parsed = parseFloat((value || '').replace(',', '.'));
+  return isNaN(parsed) ? null : parsed;
+}
+
+function parseGymNoteRecord(record, header) {
+  const weightColumn = findColumn(header, 'weight');
+  const distanceColumn = findColumn(header, 'distance');
+  return {
+    date: normalizeDate(record.date),
+    exercise: parseText(record.machine),
+    muscleGroup: parseText(record['muscle group']) || null,
+    weight: weightColumn ? parseNumber(record[weightColumn]) : null,
+    weightUnit: unitFromColumn(weightColumn, { kg: ['kg'], lb: ['lb'] }),
+    reps: parseNumber(record.reps),
+    order: parseNumber(record.order),
+    setType: parseSetType(record['set type']),
+    rpe: parseNumber(record.rpe),
+    notes: parseText(record.notes) || null,
+    durationSec: parseDuration(record.duration),
+    distance: distanceColumn ? parseNumber(record[distanceColumn]) : null,
+    distanceUnit: unitFromColumn(distanceColumn, { km: ['km'], mi: ['mi'] }),
+    level: parseNumber(record.level),
+    calories: parseNumber(record.calories)
+  };
+}
+
+function parseStrongRecord(record) {
+  // Newer exports add rest-timer rows and unit columns
+  if (/rest/i.test(record['set order'])) return null;
+
+  const weightUnit = (record['weight unit'] || '').toLowerCase();
+  const distanceUnit = (record['distance unit'] || '').toLowerCase();
+  return {
+    date: normalizeDate((record.date || '').slice(0, 10)),
+    exercise: record['exercise name'],
+    muscleGroup: null,
+    weight: parseNumber(record.weight) || null,
+    weightUnit: weightUnit.startsWith('lb') ? 'lb' : weightUnit.startsWith('kg') ? 'kg' : null,
+    reps: parseNumber(record.reps) || null,
+    setType: parseSetType(record['set order']),
+    rpe: parseNumber(record.rpe),
+    notes: record.notes || null,
+    durationSec: parseNumber(record.seconds) || null,
+    distance: parseNumber(record.distance) || null,
+    distanceUnit: distanceUnit.startsWith('mi') ? 'mi' : distanceUnit.startsWith('km') ? 'km' : null
+  };
+}
+
+function parseHevyRecord(record) {
+  const weightLbs = parseNumber(record.weight_lbs);
+  const distanceMiles = parseNumber(record.distance_miles);
+  return {
+    date: parseHevyDate(record.start_time),
+    exercise: record.exercise_title,
+    muscleGroup: null,
+    weight: weightLbs !== null ? weightLbs : parseNumber(record.weight_kg),
+    weightUnit: weightLbs !== null ? 'lb' : 'kg',
+    reps: parseNumber(record.reps) || null,
+    setType: parseSetType(record.set_type),
+    rpe: parseNumber(record.rpe),
+    notes: record.exercise_notes || null,
+    durationSec: parseNumber(record.duration_seconds) || null,
+    distance: distanceMiles !== null ? distanceMiles : parseNumber(record.distance_km) || null,
+    distanceUnit: distanceMiles !== null ? 'mi' : 'km'
+  };
+}
+
+// Hevy writes dates like "15 Jan 2023, 18:30"
+function parseHevyDate(value) {
+  const match = (value || '').match(/^(\d{1,2}) (\w{3})\w* (\d{4})/);
+  if (!match) return normalizeDate(value);
+
+  const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+  if (month === 0) return null;
+  return `${match[3]}-${month.toString().padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+function parseFitNotesRecord(record, header) {
+  const weightColumn = findColumn(header, 'weight');
+  const distanceUnit = (record['distance unit'] || '').toLowerCase();
+  let distance = parseNumber(record.distance) || null;
+  // FitNotes also logs metres
+  if (distance && distanceUnit === 'm') {
+    distance = distance / 1000;
+  }
+  return {
+    date: normalizeDate(record.date),
+    exercise: record.exercise,
+    muscleGroup: record.category || null,
+    weight: weightColumn ? parseNumber(record[weightColumn]) : null,
+    weightUnit: unitFromColumn(weightColumn, { kg: ['kg'], lb: ['lb'] }),
+    reps: parseNumber(record.reps) || null,
+    setType: null,
+    rpe: null,
+    notes: record.comment || null,
+    durationSec: parseDuration(record.time),
+    distance,
+    distanceUnit: distanceUnit.startsWith('mi') ? 'mi' : distance ? 'km' : null
+  };
+}
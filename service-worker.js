@@ -1,11 +1,18 @@
-const CACHE_NAME = 'gymnote-v1';
+const CACHE_NAME = 'gymnote-v47';
 const APP_SHELL = [
   './',
   './index.html',
   './app.js',
+  './analytics.js',
+  './importers.js',
+  './backup.js',
+  './sync.js',
+  './transfer.js',
   './manifest.webmanifest',
   './assets/dexie.min.js',
   './assets/chart.umd.js',
+  './assets/qrcode.js',
+  './assets/jsQR.min.js',
   './icons/icon-192.png',
   './icons/icon-512.png',
   './icons/apple-touch-icon.png',
@@ -53,6 +60,9 @@ self.addEventListener('fetch', event => {
   // Skip non-GET requests
   if (event.request.method !== 'GET') return;
   
+  // Skip requests that opt out of caching (sync pulls)
+  if (event.request.cache === 'no-store') return;
+  
   // Skip cross-origin requests that aren't in our cache
   if (!event.request.url.startsWith(self.location.origin) && 
       !APP_SHELL.includes(event.request.url)) {
@@ -105,4 +115,68 @@ self.addEventListener('message', event => {
   }
 });
 
+// Rest timer notifications - scheduled here so they fire while the page is suspended
+let restTimerTimeout = null;
+let resolveRestTimer = null;
+
+function cancelRestTimer() {
+  if (restTimerTimeout) {
+    clearTimeout(restTimerTimeout);
+    restTimerTimeout = null;
+  }
+  if (resolveRestTimer) {
+    resolveRestTimer();
+    resolveRestTimer = null;
+  }
+}
+
+async function showRestNotification(body) {
+  // Skip the notification when the app is open in front of the user
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.some(client => client.visibilityState === 'visible')) return;
+
+  await self.registration.showNotification('Rest over', {
+    body,
+    tag: 'rest-timer',
+    renotify: true,
+    vibrate: [200, 100, 200],
+    icon: './icons/icon-192.png'
+  });
+}
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'REST_TIMER_START') {
+    cancelRestTimer();
+    const delay = Math.max(0, event.data.endsAt - Date.now());
+    // Keep the worker alive until the timer fires or is cancelled
+    event.waitUntil(new Promise(resolve => {
+      resolveRestTimer = resolve;
+      restTimerTimeout = setTimeout(() => {
+        restTimerTimeout = null;
+        resolveRestTimer = null;
+        showRestNotification(event.data.body).then(resolve, resolve);
+      }, delay);
+    }));
+  }
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'REST_TIMER_CANCEL') {
+    cancelRestTimer();
+  }
+});
+
+// Focus the app when a notification is tapped
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(windows => {
+      if (windows.length > 0) {
+        return windows[0].focus();
+      }
+      return self.clients.openWindow('./');
+    })
+  );
+});
+
 console.log('Service Worker loaded');
\ No newline at end of file
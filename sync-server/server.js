@@ -0,0 +1,153 @@
+// Reference GymNote sync server - keeps the latest version of every synced record (protocol in SYNC.md)
+//
+//   npm run sync-server                                    # http://localhost:8787, kept in memory
+//   SYNC_DATA_FILE=sync.json SYNC_TOKEN=secret npm run sync-server
+//
+// Meant for local testing and small self-hosted setups: one process, one JSON file, no accounts.
+
+import http from 'node:http';
+import fs from 'node:fs';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA_FILE || null;
+const TOKEN = process.env.SYNC_TOKEN || null;
+const TABLES = ['machines', 'sets'];
+const MAX_PULL = 1000;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// [{ seq, table, uid, op, updatedAt, deviceId, record }], one entry per record, ordered by seq
+const log = loadLog();
+let lastSeq = log.reduce((max, change) => Math.max(max, change.seq), 0);
+
+function loadLog() {
+  if (!DATA_FILE || !fs.existsSync(DATA_FILE)) return [];
+  return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).changes || [];
+}
+
+function saveLog() {
+  if (DATA_FILE) {
+    fs.writeFileSync(DATA_FILE, JSON.stringify({ changes: log }));
+  }
+}
+
+// Same rule as the app: later updatedAt wins, then the higher device ID
+function compareVersions(a, b) {
+  const timeDiff = Date.parse(a.updatedAt) - Date.parse(b.updatedAt);
+  if (timeDiff !== 0) return timeDiff;
+  return a.deviceId < b.deviceId ? -1 : a.deviceId > b.deviceId ? 1 : 0;
+}
+
+function isValidChange(change) {
+  return change && TABLES.includes(change.table) &&
+    typeof change.uid === 'string' && change.uid &&
+    (change.op === 'delete' || (change.op === 'put' && change.record && typeof change.record === 'object')) &&
+    !isNaN(Date.parse(change.updatedAt));
+}
+
+// Older versions of a record are dropped, so a pull only ever sees the winner
+function acceptChange(change, deviceId) {
+  const incoming = {
+    table: change.table,
+    uid: change.uid,
+    op: change.op,
+    updatedAt: new Date(change.updatedAt).toISOString(),
+    deviceId,
+    record: change.op === 'put' ? change.record : null
+  };
+
+  const index = log.findIndex(entry => entry.table === incoming.table && entry.uid === incoming.uid);
+  if (index !== -1) {
+    if (compareVersions(incoming, log[index]) <= 0) return false;
+    log.splice(index, 1);
+  }
+  log.push({ seq: ++lastSeq, ...incoming });
+  return true;
+}
+
+function handlePush(body) {
+  if (!body || typeof body.deviceId !== 'string' || !body.deviceId || !Array.isArray(body.changes)) {
+    return [400, { error: 'Expected { deviceId, changes: [] }' }];
+  }
+  const invalid = body.changes.findIndex(change => !isValidChange(change));
+  if (invalid !== -1) {
+    return [400, { error: `Invalid change at index ${invalid}` }];
+  }
+
+  const accepted = body.changes.filter(change => acceptChange(change, body.deviceId)).length;
+  saveLog();
+  return [200, { accepted, rejected: body.changes.length - accepted, cursor: lastSeq }];
+}
+
+function handlePull(params) {
+  const since = Number(params.get('since')) || 0;
+  const limit = Math.min(Number(params.get('limit')) || MAX_PULL, MAX_PULL);
+  const pending = log.filter(change => change.seq > since);
+  const changes = pending.slice(0, limit);
+  return [200, {
+    changes,
+    cursor: changes.length ? changes[changes.length - 1].seq : Math.max(since, lastSeq),
+    more: pending.length > limit
+  }];
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The app is served from its own origin
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer(async (request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+  if (TOKEN && request.headers.authorization !== `Bearer ${TOKEN}`) {
+    send(response, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  try {
+    if (request.method === 'POST' && url.pathname === '/push') {
+      const [status, body] = handlePush(JSON.parse(await readBody(request) || 'null'));
+      send(response, status, body);
+    } else if (request.method === 'GET' && url.pathname === '/pull') {
+      const [status, body] = handlePull(url.searchParams);
+      send(response, status, body);
+    } else if (request.method === 'GET' && url.pathname === '/') {
+      send(response, 200, { ok: true, cursor: lastSeq });
+    } else {
+      send(response, 404, { error: 'Not found' });
+    }
+  } catch (error) {
+    send(response, error instanceof SyntaxError ? 400 : 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`GymNote sync server on http://localhost:${PORT}${DATA_FILE ? ` (saving to ${DATA_FILE})` : ''}`);
+});
@@ -0,0 +1,53 @@
+// Sync - wire format and HTTP calls for a GymNote sync endpoint (protocol in SYNC.md)
+//
+// Records travel by uid: a set names its machine by `machineUid` and its session by `date`,
+// so local auto-increment IDs never leave the device. Machine photos are not synced.
+
+const SYNC_TABLES = ['machines', 'sets'];
+const SYNC_PULL_LIMIT = 500;
+
+// Local-only fields that never go over the wire
+const SYNC_LOCAL_FIELDS = ['id', 'uid', 'machineId', 'sessionId', 'updatedAt', 'updatedBy', 'imageFull', 'imageThumb'];
+
+// Last writer wins: later updatedAt, then the higher device ID, so every device picks the same winner.
+// a, b: { updatedAt: milliseconds, deviceId }
+function compareSyncVersions(a, b) {
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt - b.updatedAt;
+  return a.deviceId < b.deviceId ? -1 : a.deviceId > b.deviceId ? 1 : 0;
+}
+
+// refs: { machineUid, date } for sets
+function toSyncRecord(record, refs = {}) {
+  const wire = { ...refs };
+  Object.keys(record).forEach(field => {
+    if (!SYNC_LOCAL_FIELDS.includes(field)) {
+      wire[field] = record[field] instanceof Date ? record[field].toISOString() : record[field];
+    }
+  });
+  return wire;
+}
+
+async function syncRequest(config, path, options = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.token) {
+    headers.Authorization = `Bearer ${config.token}`;
+  }
+
+  const response = await fetch(`${config.endpoint.replace(/\/+$/, '')}${path}`, { ...options, headers, cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(response.status === 401 ? 'Sync endpoint rejected the token' : `Sync endpoint returned ${response.status}`);
+  }
+  return response.json();
+}
+
+// changes: [{ table, uid, op: 'put' | 'delete', updatedAt, record }]
+function pushSyncChanges(config, changes) {
+  return syncRequest(config, '/push', {
+    method: 'POST',
+    body: JSON.stringify({ deviceId: config.deviceId, changes })
+  });
+}
+
+function pullSyncChanges(config, since) {
+  return syncRequest(config, `/pull?since=${since}&limit=${SYNC_PULL_LIMIT}`);
+}
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.js';
+
+loadScripts('analytics.js');
+
+test('estimateOneRepMax uses the chosen formula', () => {
+  assert.equal(estimateOneRepMax(100, 5), 100 * (1 + 5 / 30));
+  assert.equal(estimateOneRepMax(100, 5, null, 'brzycki'), 100 * 36 / 32);
+  assert.equal(estimateOneRepMax(100, 5, null, 'oconner'), 100 * (1 + 5 / 40));
+  // Unknown formulas fall back to the default
+  assert.equal(estimateOneRepMax(100, 5, null, 'nope'), estimateOneRepMax(100, 5, null, DEFAULT_E1RM_FORMULA));
+});
+
+test('estimateOneRepMax treats a single as the 1RM and clamps high reps', () => {
+  Object.keys(E1RM_FORMULAS).filter(formula => formula !== 'rpe').forEach(formula => {
+    assert.equal(estimateOneRepMax(100, 1, null, formula), 100);
+    assert.equal(estimateOneRepMax(100, 30, null, formula), estimateOneRepMax(100, E1RM_MAX_REPS, null, formula));
+  });
+  assert.equal(estimateOneRepMax(0, 5), 0);
+  assert.equal(estimateOneRepMax(100, 0), 0);
+});
+
+test('estimateOneRepMax reads the RPE table, interpolating half points', () => {
+  assert.equal(estimateOneRepMax(100, 1, 10, 'rpe'), 100);
+  assert.equal(estimateOneRepMax(100, 1, 8, 'rpe'), 100 / 0.922);
+  assert.equal(estimateOneRepMax(100, 1, 9.5, 'rpe'), 100 / ((100 + 95.5) / 2 / 100));
+  // No RPE counts as RPE 10
+  assert.equal(estimateOneRepMax(100, 3, null, 'rpe'), estimateOneRepMax(100, 3, 10, 'rpe'));
+});
+
+test('computePersonalRecords and findNewRecords report only beaten records', () => {
+  const before = computePersonalRecords([
+    { date: '2025-01-01', weightKg: 100, reps: 5, rpe: null },
+    { date: '2025-01-01', weightKg: 110, reps: 1, rpe: null }
+  ]);
+  assert.deepEqual(before.repMaxes[1], { value: 110, reps: 1, date: '2025-01-01' });
+  assert.deepEqual(before.repMaxes[5], { value: 100, reps: 5, date: '2025-01-01' });
+  assert.equal(before.repMaxes[8], undefined);
+  assert.equal(before.bestSessionVolume.value, 610);
+
+  const after = computePersonalRecords([
+    { date: '2025-01-01', weightKg: 100, reps: 5, rpe: null },
+    { date: '2025-01-01', weightKg: 110, reps: 1, rpe: null },
+    { date: '2025-01-08', weightKg: 102.5, reps: 8, rpe: null }
+  ]);
+  const types = findNewRecords(before, after).map(record => record.type);
+  assert.deepEqual(types, ['2RM', '3RM', '5RM', 'e1rm', 'set-volume', 'session-volume']);
+});
@@ -0,0 +1,159 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.js';
+
+loadScripts('transfer.js', 'backup.js');
+
+function emptyTables() {
+  return { machines: [], sessions: [], sets: [], routines: [], prs: [] };
+}
+
+test('upgradeBackup brings a version 2 backup up to the current version', () => {
+  const upgraded = upgradeBackup({
+    version: 2,
+    machines: [{ id: 1, label: 'Row' }],
+    sessions: [{ id: 1, date: '2025-02-01' }],
+    sets: [{ id: 1, sessionId: 1, machineId: 1, order: 1, weightKg: 50, reps: 10 }]
+  });
+
+  assert.equal(upgraded.version, BACKUP_VERSION);
+  assert.deepEqual(upgraded.routines, []);
+  assert.deepEqual(upgraded.prs, []);
+  assert.deepEqual(upgraded.sets[0].createdAt, new Date('2025-02-01T00:00:00'));
+  assert.deepEqual(upgraded.sessions[0].updatedAt, new Date('2025-02-01T00:00:00'));
+});
+
+test('upgradeBackup keeps timestamps a backup already has, as Dates', () => {
+  const upgraded = upgradeBackup({
+    ...emptyTables(),
+    version: BACKUP_VERSION,
+    machines: [{ id: 1, label: 'Row', createdAt: '2024-05-01T10:00:00.000Z', updatedAt: '2024-06-01T10:00:00.000Z' }]
+  });
+  assert.deepEqual(upgraded.machines[0].updatedAt, new Date('2024-06-01T10:00:00.000Z'));
+});
+
+test('upgradeBackup rejects versions without a migration path', () => {
+  [undefined, 1, '3', 2.5, null].forEach(version => {
+    assert.throws(() => upgradeBackup({ ...emptyTables(), version }), /Unsupported backup version/);
+  });
+});
+
+test('planBackupMerge matches by uid, then by natural key', () => {
+  const local = {
+    ...emptyTables(),
+    machines: [{ id: 10, uid: 'm-row', label: 'Row' }, { id: 11, label: 'Leg Press', muscleGroup: 'Legs' }],
+    sessions: [{ id: 20, date: '2025-02-01' }],
+    sets: [{ id: 30, sessionId: 20, machineId: 11, order: 1, weightKg: 100, reps: 8 }]
+  };
+  const backup = {
+    ...emptyTables(),
+    machines: [
+      { id: 1, uid: 'm-row', label: 'Rowing machine' },
+      { id: 2, label: 'Leg Press', muscleGroup: 'Legs' },
+      { id: 3, label: 'Curl' }
+    ],
+    sessions: [{ id: 5, date: '2025-02-01' }, { id: 6, date: '2025-02-03' }],
+    sets: [
+      { id: 1, sessionId: 5, machineId: 2, order: 1, weightKg: 100, reps: 8 },
+      { id: 2, sessionId: 6, machineId: 3, order: 1, weightKg: 12, reps: 12 },
+      { id: 3, sessionId: 99, machineId: 3, order: 1, weightKg: 12, reps: 12 }
+    ]
+  };
+  const plan = planBackupMerge(backup, local);
+
+  assert.deepEqual(plan.machines.map(item => item.action), ['conflict', 'existing', 'add']);
+  assert.deepEqual(plan.machines[0].differences, ['label']);
+  assert.equal(plan.machines[0].resolution, 'local');
+  assert.deepEqual(plan.sessions.map(item => item.action), ['existing', 'add']);
+  assert.deepEqual(plan.sets.map(item => item.action), ['existing', 'add']);
+  assert.equal(plan.sets[1].record.date, '2025-02-03');
+  assert.equal(plan.skippedSets, 1);
+  assert.deepEqual(plan.conflicts, [plan.machines[0]]);
+
+  assert.deepEqual(summarizeBackupPlan(plan), {
+    newMachines: 1, newSessions: 1, newSets: 1, newRoutines: 0,
+    existingMachines: 1, existingSets: 1, conflicts: 1
+  });
+});
+
+test('planBackupMerge finds nothing new when a backup is imported twice', () => {
+  const backup = {
+    ...emptyTables(),
+    machines: [{ id: 1, uid: 'm1', label: 'Row' }],
+    sessions: [{ id: 1, uid: 's1', date: '2025-02-01' }],
+    sets: [{ id: 1, uid: 'set1', sessionId: 1, machineId: 1, order: 1, weightKg: 50, reps: 10 }],
+    routines: [{ id: 1, uid: 'r1', name: 'Pull' }],
+    prs: [{ id: 1, uid: 'pr1', machineId: 1, date: '2025-02-01', type: 'e1rm', value: 66.7 }]
+  };
+  const plan = planBackupMerge(backup, backup);
+
+  RECORD_TABLES.forEach(table => {
+    assert.ok(plan[table].every(item => item.action === 'existing'), table);
+  });
+});
+
+test('foldDuplicateSessions folds later sessions for a date into the first', () => {
+  const sessions = [{ id: 3, date: '2025-02-01' }, { id: 1, date: '2025-02-01' }, { id: 2, date: '2025-02-02' }];
+  const sets = [
+    { id: 1, sessionId: 1, machineId: 7, order: 1 },
+    { id: 2, sessionId: 1, machineId: 7, order: 2 },
+    { id: 3, sessionId: 3, machineId: 7, order: 2 },
+    { id: 4, sessionId: 3, machineId: 7, order: 1 },
+    { id: 5, sessionId: 3, machineId: 8, order: 1 },
+    { id: 6, sessionId: 2, machineId: 7, order: 1 }
+  ];
+  const folded = foldDuplicateSessions(sessions, sets);
+
+  assert.deepEqual(folded.sessions.map(session => session.id), [1, 2]);
+  assert.deepEqual(folded.removedSessionIds, [3]);
+  assert.deepEqual(folded.sets.map(set => [set.id, set.sessionId, set.order]), [
+    [1, 1, 1], [2, 1, 2], [3, 1, 4], [4, 1, 3], [5, 1, 1], [6, 2, 1]
+  ]);
+  assert.deepEqual(folded.movedSets.map(set => set.id), [4, 5, 3]);
+  // The input is left alone
+  assert.equal(sets[2].sessionId, 3);
+});
+
+test('foldDuplicateSessions changes nothing without duplicates', () => {
+  const sessions = [{ id: 1, date: '2025-02-01' }];
+  const sets = [{ id: 1, sessionId: 1, machineId: 7, order: 1 }];
+  const folded = foldDuplicateSessions(sessions, sets);
+
+  assert.deepEqual(folded.sets, sets);
+  assert.deepEqual(folded.movedSets, []);
+  assert.deepEqual(folded.removedSessionIds, []);
+});
+
+test('upgradeBackup folds duplicate session dates from older backups', () => {
+  const upgraded = upgradeBackup({
+    version: 3,
+    machines: [{ id: 1, label: 'Row' }],
+    sessions: [{ id: 1, date: '2025-02-01' }, { id: 2, date: '2025-02-01' }],
+    sets: [{ id: 1, sessionId: 1, machineId: 1, order: 1 }, { id: 2, sessionId: 2, machineId: 1, order: 1 }],
+    routines: [],
+    prs: []
+  });
+
+  assert.equal(upgraded.sessions.length, 1);
+  assert.deepEqual(upgraded.sets.map(set => [set.sessionId, set.order]), [[1, 1], [1, 2]]);
+});
+
+test('encrypted backups decrypt with the right passphrase only', async () => {
+  const text = JSON.stringify({ version: BACKUP_VERSION, ...emptyTables() });
+  const sealed = await encryptBackup(text, 'correct horse');
+
+  assert.ok(isEncryptedBackup(sealed));
+  assert.ok(!isEncryptedBackup(text));
+  assert.ok(!sealed.includes('machines'));
+  assert.equal(JSON.parse(sealed).kdf.iterations, PBKDF2_ITERATIONS);
+  assert.equal(await decryptBackup(sealed, 'correct horse'), text);
+  await assert.rejects(decryptBackup(sealed, 'wrong horse'), /Wrong passphrase/);
+});
+
+test('decryptBackup refuses iteration counts outside the accepted range', async () => {
+  const envelope = JSON.parse(await encryptBackup('{}', 'secret'));
+  for (const iterations of [1000, PBKDF2_ITERATIONS * PBKDF2_MAX_FACTOR + 1, '600000']) {
+    const text = JSON.stringify({ ...envelope, kdf: { ...envelope.kdf, iterations } });
+    await assert.rejects(decryptBackup(text, 'secret'), /Unsupported encrypted backup/);
+  }
+});
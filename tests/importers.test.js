@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, loadAppFunctions } from './load-scripts.js';
+
+loadAppFunctions('parseCSV', 'toCSV', 'normalizeDate', 'parseDuration');
+loadScripts('importers.js');
+
+test('parseCSV handles quotes, escaped quotes, CRLF and a BOM', () => {
+  const rows = parseCSV('\uFEFFa,b\r\n"x, y","say ""hi"""\r\n"multi\nline",');
+  assert.deepEqual(rows, [['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', '']]);
+});
+
+test('a GymNote export round-trips, including formula-like text', () => {
+  const csv = toCSV([
+    ['Date', 'Machine', 'Muscle Group', 'Order', 'Weight (lb)', 'Reps', 'RPE', 'Notes',
+      'Duration', 'Distance (mi)', 'Level', 'Calories', 'Set Type'],
+    ['2025-03-02', '=Leg Press', 'Legs', 2, 225, 8, 8.5, '+felt easy', '', '', '', '', 'Warm-up'],
+    ['2025-03-02', 'Rower', 'Cardio', 1, '', '', '', '', '12:30', 1.5, 6, 140, '']
+  ]);
+  const { format, entries, skipped } = parseTrainingLogCSV(csv);
+
+  assert.equal(format, 'gymnote');
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(entries[0], {
+    date: '2025-03-02', exercise: '=Leg Press', muscleGroup: 'Legs', weight: 225, weightUnit: 'lb',
+    reps: 8, order: 2, setType: 'warmup', rpe: 8.5, notes: '+felt easy', durationSec: null,
+    distance: null, distanceUnit: 'mi', level: null, calories: null
+  });
+  assert.equal(entries[1].durationSec, 750);
+  assert.equal(entries[1].distance, 1.5);
+  assert.equal(entries[1].level, 6);
+  assert.equal(entries[1].calories, 140);
+});
+
+test('Strong exports with semicolons skip rest rows and read W/D/F set orders', () => {
+  const csv = [
+    'Date;Workout Name;Exercise Name;Set Order;Weight;Weight Unit;Reps;RPE;Distance;Distance Unit;Seconds;Notes',
+    '2023-01-15 18:30:00;Push;Bench Press (Barbell);W;40;kg;10;;;;;',
+    '2023-01-15 18:30:00;Push;Bench Press (Barbell);1;"82,5";kg;5;8;;;;paused',
+    '2023-01-15 18:30:00;Push;Bench Press (Barbell);Rest Timer;;;;;;;90;',
+    '2023-01-15 18:30:00;Push;Treadmill;1;;;;;2;mi;1200;'
+  ].join('\n');
+  const { format, entries, skipped } = parseTrainingLogCSV(csv);
+
+  assert.equal(format, 'strong');
+  assert.deepEqual(skipped, [4]);
+  assert.deepEqual(entries.map(entry => [entry.date, entry.setType, entry.weight, entry.reps]), [
+    ['2023-01-15', 'warmup', 40, 10],
+    ['2023-01-15', null, 82.5, 5],
+    ['2023-01-15', null, null, null]
+  ]);
+  assert.equal(entries[1].rpe, 8);
+  assert.equal(entries[1].notes, 'paused');
+  assert.deepEqual([entries[2].durationSec, entries[2].distance, entries[2].distanceUnit], [1200, 2, 'mi']);
+});
+
+test('Hevy exports read the unit from the column name and the date from start_time', () => {
+  const csv = [
+    'title,start_time,end_time,exercise_title,exercise_notes,set_index,set_type,weight_lbs,reps,distance_miles,duration_seconds,rpe',
+    'Legs,"15 Jan 2023, 18:30","15 Jan 2023, 19:30",Squat (Barbell),,0,warmup,135,5,,,',
+    'Legs,"5 September 2023, 07:00","5 Sep 2023, 08:00",Squat (Barbell),deep,1,failure,225,6,,,9.5'
+  ].join('\n');
+  const { format, entries } = parseTrainingLogCSV(csv);
+
+  assert.equal(format, 'hevy');
+  assert.deepEqual(entries.map(entry => [entry.date, entry.setType, entry.weight, entry.weightUnit]), [
+    ['2023-01-15', 'warmup', 135, 'lb'],
+    ['2023-09-05', 'failure', 225, 'lb']
+  ]);
+  assert.equal(entries[1].rpe, 9.5);
+  assert.equal(entries[1].notes, 'deep');
+  assert.equal(parseHevyDate('15 Foo 2023, 18:30'), null);
+});
+
+test('FitNotes exports convert metres and leave set type and RPE unset', () => {
+  const csv = [
+    'Date,Exercise,Category,Weight (kgs),Reps,Distance,Distance Unit,Time,Comment',
+    '2024-06-01,Deadlift,Back,140,3,,,,',
+    '2024-06-01,Rowing Machine,Cardio,,,2500,m,0:10:00,steady'
+  ].join('\n');
+  const { format, entries } = parseTrainingLogCSV(csv);
+
+  assert.equal(format, 'fitnotes');
+  assert.deepEqual([entries[0].weight, entries[0].weightUnit, entries[0].muscleGroup], [140, 'kg', 'Back']);
+  assert.equal(entries[0].setType, null);
+  assert.equal(entries[0].rpe, null);
+  assert.deepEqual([entries[1].distance, entries[1].distanceUnit, entries[1].durationSec], [2.5, 'km', 600]);
+  assert.equal(entries[1].notes, 'steady');
+});
+
+test('parseTrainingLogCSV rejects empty and unknown files and reports bad rows', () => {
+  assert.throws(() => parseTrainingLogCSV('Date,Machine\n'), /no data rows/);
+  assert.throws(() => parseTrainingLogCSV('foo,bar\n1,2'), /Unrecognised CSV format/);
+
+  const { entries, skipped } = parseTrainingLogCSV('Date,Machine,Reps\nnot a date,Row,5\n2025-01-01,,5\n2025-01-01,Row,5');
+  assert.equal(entries.length, 1);
+  assert.deepEqual(skipped, [2, 3]);
+});
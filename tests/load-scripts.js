@@ -0,0 +1,26 @@
+// Loads the app's classic scripts into the test process the way index.html does: one shared global
+// scope, so their top-level functions and constants can be used directly once loaded.
+
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const ROOT = new URL('../', import.meta.url);
+
+export function loadScripts(...files) {
+  files.forEach(file => {
+    const url = new URL(file, ROOT);
+    vm.runInThisContext(fs.readFileSync(url, 'utf8'), { filename: url.pathname });
+  });
+}
+
+// app.js needs the DOM, so only the named top-level helpers are taken from it
+export function loadAppFunctions(...names) {
+  const source = fs.readFileSync(new URL('app.js', ROOT), 'utf8');
+  names.forEach(name => {
+    const match = source.match(new RegExp(`^function ${name}\\([^]*?^}$`, 'm'));
+    if (!match) {
+      throw new Error(`app.js has no top-level function ${name}`);
+    }
+    vm.runInThisContext(match[0], { filename: `app.js (${name})` });
+  });
+}
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.js';
+
+loadScripts('sync.js');
+
+test('compareSyncVersions prefers the later write, then the higher device ID', () => {
+  assert.ok(compareSyncVersions({ updatedAt: 2000, deviceId: 'a' }, { updatedAt: 1000, deviceId: 'z' }) > 0);
+  assert.ok(compareSyncVersions({ updatedAt: 1000, deviceId: 'a' }, { updatedAt: 1000, deviceId: 'b' }) < 0);
+  assert.equal(compareSyncVersions({ updatedAt: 1000, deviceId: 'a' }, { updatedAt: 1000, deviceId: 'a' }), 0);
+
+  // Every device sorts the same competing versions the same way
+  const versions = [
+    { updatedAt: 1000, deviceId: 'b' },
+    { updatedAt: 3000, deviceId: 'a' },
+    { updatedAt: 1000, deviceId: 'c' }
+  ];
+  const winner = [...versions].sort(compareSyncVersions).pop();
+  const reversedWinner = [...versions].reverse().sort(compareSyncVersions).pop();
+  assert.equal(winner, reversedWinner);
+  assert.equal(winner.deviceId, 'a');
+});
+
+test('toSyncRecord drops local-only fields and adds the references', () => {
+  const createdAt = new Date('2025-02-01T10:00:00.000Z');
+  const wire = toSyncRecord(
+    { id: 4, uid: 'set-1', machineId: 2, sessionId: 9, order: 1, weightKg: 60, reps: 8, createdAt, updatedAt: createdAt, updatedBy: 'dev' },
+    { machineUid: 'machine-1', date: '2025-02-01' }
+  );
+
+  assert.deepEqual(wire, {
+    machineUid: 'machine-1',
+    date: '2025-02-01',
+    order: 1,
+    weightKg: 60,
+    reps: 8,
+    createdAt: '2025-02-01T10:00:00.000Z'
+  });
+});
+
+test('toSyncRecord leaves machine photos on the device', () => {
+  const wire = toSyncRecord({ id: 1, uid: 'm1', label: 'Row', imageFull: 'data:', imageThumb: 'data:' });
+  assert.deepEqual(wire, { label: 'Row' });
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './load-scripts.js';
+
+loadScripts('transfer.js');
+
+async function receive(frames) {
+  const parsed = frames.map(parseTransferFrame).sort((a, b) => a.index - b.index);
+  return decodeTransferPayload(parsed[0].encoding, parsed.map(frame => frame.data));
+}
+
+test('a payload split into frames decodes back in any frame order', async () => {
+  // Random-ish text so gzip can't squeeze it into a single frame
+  const sets = Array.from({ length: 400 }, (_, i) => ({ id: i, weightKg: (i * 7919) % 211, notes: `set ${i * 104729}` }));
+  const text = JSON.stringify({ version: 4, sets });
+  const frames = await encodeTransferFrames(text);
+
+  assert.ok(frames.length > 1);
+  const parsed = frames.map(parseTransferFrame);
+  assert.ok(parsed.every(frame => frame.total === frames.length && frame.id === parsed[0].id));
+  assert.ok(parsed.every(frame => frame.data.length <= TRANSFER_CHUNK_SIZE));
+  assert.deepEqual(parsed.map(frame => frame.index), frames.map((_, i) => i + 1));
+
+  assert.equal(await receive([...frames].reverse()), text);
+});
+
+test('an empty payload still makes one frame', async () => {
+  const frames = await encodeTransferFrames('');
+  assert.equal(frames.length, 1);
+  assert.equal(await receive(frames), '');
+});
+
+test('uncompressed frames decode as plain JSON', async () => {
+  const text = '{"note":"Grüße"}';
+  const chunk = bytesToBase64(new TextEncoder().encode(text));
+  assert.equal(await decodeTransferPayload('json', [chunk]), text);
+});
+
+test('parseTransferFrame ignores other QR codes and impossible indexes', () => {
+  assert.deepEqual(parseTransferFrame('GN1:abc123:gzip:2/3:QUJD'), { id: 'abc123', encoding: 'gzip', index: 2, total: 3, data: 'QUJD' });
+  ['https://example.com', 'GN1:abc:zip:1/1:QUJD', 'GN1:abc:json:0/2:QUJD', 'GN1:abc:json:3/2:QUJD', '', null]
+    .forEach(text => assert.equal(parseTransferFrame(text), null));
+});
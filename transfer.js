@@ -0,0 +1,95 @@
+// Device-to-device transfer - a backup split into an animated sequence of QR codes
+//
+// Each frame is "GN1:<transfer id>:<encoding>:<index>/<total>:<base64 chunk>". The receiver collects
+// frames in any order (the sequence loops) until every index has been seen.
+
+const TRANSFER_PREFIX = 'GN1';
+const TRANSFER_CHUNK_SIZE = 350;
+const TRANSFER_FRAME_MS = 250;
+
+// encoding: 'gzip' where CompressionStream exists, otherwise 'json'
+async function encodeTransferFrames(text) {
+  const id = Math.random().toString(36).slice(2, 8);
+  let bytes = new TextEncoder().encode(text);
+  let encoding = 'json';
+  if (typeof CompressionStream !== 'undefined') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    encoding = 'gzip';
+  }
+
+  const base64 = bytesToBase64(bytes);
+  const total = Math.max(1, Math.ceil(base64.length / TRANSFER_CHUNK_SIZE));
+  const frames = [];
+  for (let index = 0; index < total; index++) {
+    const chunk = base64.slice(index * TRANSFER_CHUNK_SIZE, (index + 1) * TRANSFER_CHUNK_SIZE);
+    frames.push(`${TRANSFER_PREFIX}:${id}:${encoding}:${index + 1}/${total}:${chunk}`);
+  }
+  return frames;
+}
+
+// null for anything that isn't a GymNote transfer frame
+function parseTransferFrame(text) {
+  const match = (text || '').match(/^GN1:(\w+):(gzip|json):(\d+)\/(\d+):([A-Za-z0-9+/=]*)$/);
+  if (!match) return null;
+
+  const index = parseInt(match[3]);
+  const total = parseInt(match[4]);
+  if (index < 1 || index > total) return null;
+  return { id: match[1], encoding: match[2], index, total, data: match[5] };
+}
+
+// chunks: base64 strings ordered by frame index
+async function decodeTransferPayload(encoding, chunks) {
+  const bytes = base64ToBytes(chunks.join(''));
+  if (encoding !== 'gzip') {
+    return new TextDecoder().decode(bytes);
+  }
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unpack compressed transfers');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked so String.fromCharCode doesn't hit the argument limit
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Renders with the vendored qrcode-generator; low error correction keeps frames small
+function drawQRCode(canvas, text) {
+  const qr = qrcode(0, 'L');
+  qr.addData(text);
+  qr.make();
+
+  const moduleCount = qr.getModuleCount();
+  const quietZone = 4;
+  const cellSize = Math.max(1, Math.floor(canvas.width / (moduleCount + quietZone * 2)));
+  const offset = Math.floor((canvas.width - cellSize * moduleCount) / 2);
+  const context = canvas.getContext('2d');
+
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#000000';
+  for (let row = 0; row < moduleCount; row++) {
+    for (let col = 0; col < moduleCount; col++) {
+      if (qr.isDark(row, col)) {
+        context.fillRect(offset + col * cellSize, offset + row * cellSize, cellSize, cellSize);
+      }
+    }
+  }
+}